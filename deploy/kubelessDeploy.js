@@ -17,14 +17,34 @@
 'use strict';
 
 const _ = require('lodash');
+const autoscaling = require('../lib/autoscaling');
 const BbPromise = require('bluebird');
-const Api = require('kubernetes-client');
+const environment = require('../lib/environment');
 const fs = require('fs');
 const helpers = require('../lib/helpers');
 const JSZip = require('jszip');
+const kafka = require('../lib/kafka');
 const moment = require('moment');
+const packaging = require('../lib/packaging');
 const path = require('path');
+const resources = require('../lib/resources');
+const runtimes = require('../lib/runtimes');
+const schedule = require('../lib/schedule');
 const url = require('url');
+const volumes = require('../lib/volumes');
+
+// Text is kept as is while any other content is base64 encoded so its bytes are preserved
+function encodeContent(content) {
+  const buffer = Buffer.from(content);
+  const text = buffer.toString('utf8');
+  if (Buffer.from(text, 'utf8').equals(buffer) && !_.includes(text, '\u0000')) {
+    return { function: text };
+  }
+  return {
+    function: buffer.toString('base64'),
+    'function-content-type': 'base64',
+  };
+}
 
 function getFunctionDescription(
   funcName,
@@ -36,23 +56,26 @@ function getFunctionDescription(
   desc,
   labels,
   env,
-  memory,
+  containerResources,
+  podVolumes,
+  replicas,
   eventType,
-  eventTrigger
+  eventValue,
+  apiVersion
 ) {
   const funcs = {
-    apiVersion: 'k8s.io/v1',
+    apiVersion,
     kind: 'Function',
     metadata: {
       name: funcName,
       namespace,
     },
-    spec: {
-      deps: deps || '',
-      function: funcContent,
-      handler,
-      runtime,
-    },
+    spec: _.assign(
+      { deps: deps ? deps.toString() : '' },
+      // The content is either the code of the handler or a zip with its settings
+      _.isPlainObject(funcContent) ? funcContent : encodeContent(funcContent),
+      { handler, runtime }
+    ),
   };
   if (desc) {
     funcs.metadata.annotations = {
@@ -62,29 +85,26 @@ function getFunctionDescription(
   if (labels) {
     funcs.metadata.labels = labels;
   }
-  if (env || memory) {
+  if (env || containerResources || podVolumes) {
     const container = {
       name: funcName,
     };
     if (env) {
-      container.env = [];
-      _.each(env, (v, k) => {
-        container.env.push({ name: k, value: v.toString() });
-      });
+      _.assign(container, env);
     }
-    if (memory) {
-      // If no suffix is given we assume the unit will be `Mi`
-      const memoryWithSuffix = memory.toString().match(/\d+$/) ?
-        `${memory}Mi` :
-        memory;
-      container.resources = {
-        limits: { memory: memoryWithSuffix },
-        requests: { memory: memoryWithSuffix },
-      };
+    if (containerResources) {
+      container.resources = containerResources;
     }
     funcs.spec.template = {
       spec: { containers: [container] },
     };
+    if (podVolumes) {
+      container.volumeMounts = podVolumes.volumeMounts;
+      funcs.spec.template.spec.volumes = podVolumes.volumes;
+    }
+  }
+  if (!_.isNull(replicas)) {
+    funcs.spec.deployment = { spec: { replicas } };
   }
   switch (eventType) {
     case 'http':
@@ -92,10 +112,14 @@ function getFunctionDescription(
       break;
     case 'trigger':
       funcs.spec.type = 'PubSub';
-      if (_.isEmpty(eventTrigger)) {
+      if (_.isEmpty(kafka.getTriggerSettings(eventValue).topic)) {
         throw new Error('You should specify a topic for the trigger event');
       }
-      funcs.spec.topic = eventTrigger;
+      funcs.spec.topic = kafka.getTriggerSettings(eventValue).topic;
+      break;
+    case 'schedule':
+      funcs.spec.type = 'Scheduled';
+      funcs.spec.schedule = eventValue;
       break;
     default:
       throw new Error(`Event type ${eventType} is not supported`);
@@ -103,7 +127,33 @@ function getFunctionDescription(
   return funcs;
 }
 
-function getIngressDescription(funcName, funcPath, funcHost) {
+// Splits the events of a function in the one that defines the Function object
+// and the rest, that are served through extra ingress paths and topic triggers
+function groupEvents(events) {
+  const httpEvents = _.filter(events, e => _.has(e, 'http'));
+  const mainEvent = _.first(httpEvents) || _.first(events);
+  const triggers = _.map(_.filter(events, e => _.has(e, 'trigger')), e => (
+    kafka.getTriggerSettings(e.trigger)
+  ));
+  const mainTopic = mainEvent.trigger && kafka.getTriggerSettings(mainEvent.trigger).topic;
+  return {
+    mainEvent,
+    httpEvents,
+    extraTriggers: _.reject(_.uniqBy(triggers, 'topic'), { topic: mainTopic }),
+  };
+}
+
+function getIngressDescription(funcName, routes) {
+  // Paths of the same host are grouped in a single rule
+  const rules = _.map(_.groupBy(routes, 'host'), (hostRoutes, host) => ({
+    host,
+    http: {
+      paths: _.map(hostRoutes, route => ({
+        path: route.path,
+        backend: { serviceName: funcName, servicePort: 8080 },
+      })),
+    },
+  }));
   return {
     kind: 'Ingress',
     metadata: {
@@ -114,16 +164,26 @@ function getIngressDescription(funcName, funcPath, funcHost) {
         'ingress.kubernetes.io/rewrite-target': '/',
       },
     },
+    spec: { rules },
+  };
+}
+
+function getKafkaTriggerName(funcName, topic) {
+  return `${funcName}-${topic}`.toLowerCase().replace(/[^a-z0-9.-]/g, '-');
+}
+
+function getKafkaTriggerDescription(funcName, trigger, namespace) {
+  return {
+    apiVersion: 'kubeless.io/v1beta1',
+    kind: 'KafkaTrigger',
+    metadata: {
+      name: getKafkaTriggerName(funcName, trigger.topic),
+      namespace,
+      labels: { function: funcName },
+    },
     spec: {
-      rules: [{
-        host: funcHost,
-        http: {
-          paths: [{
-            path: funcPath,
-            backend: { serviceName: funcName, servicePort: 8080 },
-          }],
-        },
-      }],
+      functionSelector: { matchLabels: { function: funcName } },
+      topic: trigger.topic,
     },
   };
 }
@@ -137,7 +197,11 @@ class KubelessDeploy {
     this.hooks = {
       'deploy:deploy': () => BbPromise.bind(this)
         .then(this.validate)
-        .then(this.deployFunction),
+        .then(() => this.provider.forEachCluster(() => (
+          this.checkRuntime()
+            .then(() => this.createTopicsIfNecessary())
+            .then(() => this.deployFunction())
+        ))),
     };
     // Store the result of loading the Zip file
     this.loadZip = _.memoize(JSZip.loadAsync);
@@ -150,23 +214,109 @@ class KubelessDeploy {
       this.options,
       this.serverless.cli.log.bind(this.serverless.cli)
     );
-    // Check that functions don't have more than one event source
-    // since it is not supported yet
-    _.each(this.serverless.service.functions, f => {
-      if (f.events && f.events.length > 1) {
-        throw new Error('It is not supported to have more than one event source yet');
+    const provider = this.serverless.service.provider;
+    if (_.has(provider, 'replicas') && !autoscaling.isValidReplicas(provider.replicas)) {
+      throw new Error('The replicas of the provider should be a non negative integer');
+    }
+    kafka.getTopicsSettings(provider.autoCreateTopics);
+    _.each(this.serverless.service.functions, (f, name) => {
+      try {
+        resources.getResources(provider, f);
+      } catch (e) {
+        throw new Error(`Invalid resources for the function ${name}: ${e.message}`);
+      }
+      try {
+        environment.getEnvironment(provider, f);
+      } catch (e) {
+        throw new Error(`Invalid environment for the function ${name}: ${e.message}`);
+      }
+      try {
+        volumes.getVolumes(f);
+      } catch (e) {
+        throw new Error(`Invalid volumes for the function ${name}: ${e.message}`);
       }
+      if (_.has(f, 'replicas')) {
+        if (!autoscaling.isValidReplicas(f.replicas)) {
+          throw new Error(`The replicas of the function ${name} should be a non negative integer`);
+        }
+        if (_.has(f, 'autoscaling')) {
+          throw new Error(
+            `The function ${name} can't set its replicas since they are managed by its autoscaler`
+          );
+        }
+      }
+      if (_.has(f, 'autoscaling')) {
+        const reason = autoscaling.checkAutoscaling(f.autoscaling);
+        if (reason) {
+          throw new Error(`Invalid autoscaling for the function ${name}: ${reason}`);
+        }
+      }
+      _.each(f.events, event => {
+        const eventType = _.keys(event)[0];
+        if (!_.includes(['http', 'trigger', 'schedule'], eventType)) {
+          throw new Error(`Event type ${eventType} of the function ${name} is not supported`);
+        }
+        if (_.isUndefined(event[eventType]) || _.isNull(event[eventType])) {
+          throw new Error(
+            `Wrong definition for the ${eventType} event of the function ${name}. ` +
+            'Expecting an Object with valid keys.'
+          );
+        }
+        if (eventType === 'trigger') {
+          const reason = kafka.checkTrigger(event.trigger);
+          if (reason) {
+            throw new Error(`Invalid trigger for the function ${name}: ${reason}`);
+          }
+          const topicSettings = _.keys(_.pick(event.trigger, kafka.topicSettings));
+          if (!_.isEmpty(topicSettings) && !provider.autoCreateTopics) {
+            throw new Error(
+              `Invalid trigger for the function ${name}: ${topicSettings.join(', ')} ` +
+              'only apply to the topics created with provider.autoCreateTopics'
+            );
+          }
+        }
+        if (eventType === 'schedule') {
+          const reason = schedule.checkCronExpression(event.schedule);
+          if (reason) {
+            throw new Error(
+              `Invalid schedule "${event.schedule}" for the function ${name}: ${reason}`
+            );
+          }
+          if (f.events.length > 1) {
+            throw new Error(
+              `The function ${name} can't combine a schedule event with other event sources`
+            );
+          }
+        }
+      });
     });
+    // Throws if several triggers of the same topic describe it differently
+    kafka.getTopics(this.serverless.service.functions);
+    return BbPromise.resolve();
+  }
+
+  // Every cluster may support different runtimes so this is checked once the cluster
+  // has been inspected
+  checkRuntime() {
+    runtimes.parseRuntime(this.serverless.service.provider.runtime, this.getRuntimes());
     return BbPromise.resolve();
   }
 
-  getFunctionContent(relativePath) {
-    const pkg = this.options.package ||
-      this.serverless.service.package.path;
+  getFunctionContent(relativePath, funcName) {
+    const pkg = this.getArtifact(funcName);
     let resultPromise = null;
     if (pkg) {
-      resultPromise = this.loadZip(fs.readFileSync(pkg)).then(
-        (zip) => zip.file(relativePath).async('string')
+      resultPromise = this.loadZip(fs.readFileSync(pkg)).then((zip) => {
+        const file = packaging.findFile(zip, relativePath);
+        if (!file) {
+          throw new Error(`Unable to find ${relativePath} in the package ${pkg}`);
+        }
+        return file.async('nodebuffer');
+      });
+    } else if (!packaging.isIncluded(relativePath, this.getPackagePatterns(funcName))) {
+      // Files excluded from the package are not in the artifact either
+      resultPromise = BbPromise.reject(
+        new Error(`The file ${relativePath} is excluded from the package`)
       );
     } else {
       resultPromise = new BbPromise((resolve, reject) => {
@@ -176,7 +326,7 @@ class KubelessDeploy {
             if (err) {
               reject(err);
             } else {
-              resolve(d.toString());
+              resolve(d);
             }
           });
       });
@@ -184,43 +334,83 @@ class KubelessDeploy {
     return resultPromise;
   }
 
-  getThirdPartyResources(connectionOptions) {
-    return new Api.ThirdPartyResources(connectionOptions);
+  isPackagedIndividually(funcName) {
+    return !!(
+      this.serverless.service.package.individually ||
+      _.get(this.serverless.service.functions, [funcName, 'package', 'individually'])
+    );
   }
 
-  getExtensions(connectionOptions) {
-    return new Api.Extensions(connectionOptions);
+  // Path of the zip the function is read from or null to read the service files
+  getArtifact(funcName) {
+    const functionPackage = _.get(this.serverless.service.functions, [funcName, 'package'], {});
+    if (functionPackage.artifact) {
+      return path.resolve(this.serverless.config.servicePath || '.', functionPackage.artifact);
+    }
+    if (this.isPackagedIndividually(funcName)) {
+      // The package given when functions are packaged individually is a directory
+      return this.options.package ? path.join(this.options.package, `${funcName}.zip`) : null;
+    }
+    return this.options.package || this.serverless.service.package.path || null;
   }
 
-  getRuntimeFilenames(runtime, handler) {
-    let files = null;
-    if (runtime.match(/python/)) {
-      files = {
-        handler: `${handler.toString().split('.')[0]}.py`,
-        deps: 'requirements.txt',
-      };
-    } else if (runtime.match(/node/)) {
-      files = {
-        handler: `${handler.toString().split('.')[0]}.js`,
-        deps: 'package.json',
-      };
-    } else if (runtime.match(/ruby/)) {
-      files = {
-        handler: `${handler.toString().split('.')[0]}.rb`,
-        deps: 'Gemfile',
-      };
-    } else {
-      throw new Error(
-        `The runtime ${runtime} is not supported yet`
-      );
+  // Function level settings only apply to functions packaged individually
+  getPackageSettings(funcName) {
+    const servicePackage = this.serverless.service.package || {};
+    const functionPackage = _.get(this.serverless.service.functions, [funcName, 'package'], {});
+    if (!this.isPackagedIndividually(funcName)) {
+      return servicePackage;
+    }
+    return {
+      include: _.union(servicePackage.include, functionPackage.include),
+      exclude: _.union(servicePackage.exclude, functionPackage.exclude),
+    };
+  }
+
+  getPackagePatterns(funcName) {
+    return packaging.getPatterns(this.getPackageSettings(funcName));
+  }
+
+  // Both the artifact and the files of the service are zipped the same way
+  // so they result in the same content
+  getPackage(funcName) {
+    const pkg = this.getArtifact(funcName);
+    if (pkg) {
+      return BbPromise.promisify(fs.readFile)(pkg).then(packaging.repackZip);
     }
-    return files;
+    const servicePath = this.serverless.config.servicePath || '.';
+    return BbPromise.resolve(packaging.zipFiles(
+      servicePath,
+      packaging.listFiles(servicePath, this.getPackagePatterns(funcName))
+    ));
+  }
+
+  getZipContent(pkg) {
+    return {
+      function: pkg.toString('base64'),
+      'function-content-type': 'base64+zip',
+      checksum: packaging.getChecksum(pkg),
+    };
+  }
+
+  getThirdPartyResources(namespace) {
+    return this.provider.getFunctions(namespace);
+  }
+
+  getExtensions(namespace) {
+    return this.provider.getExtensions(namespace);
+  }
+
+  getRuntimes() {
+    return this.provider.getRuntimes();
+  }
+
+  getRuntimeFilenames(runtime, handler) {
+    return runtimes.getFilenames(runtime, handler, this.getRuntimes());
   }
 
   waitForDeployment(funcName, requestMoment, namespace) {
-    const core = new Api.Core(helpers.getConnectionOptions(
-      helpers.loadKubeConfig(), { namespace })
-    );
+    const core = this.provider.getCore(namespace);
     let retries = 0;
     let successfulCount = 0;
     let previousPodStatus = '';
@@ -343,31 +533,57 @@ class KubelessDeploy {
             `  Message: ${err.message}`
           ));
         } else {
-          this.waitForDeployment(body.metadata.name, requestMoment);
+          this.waitForDeployment(
+            body.metadata.name,
+            requestMoment,
+            thirdPartyResources.namespaces.namespace
+          );
           resolve(true);
         }
       });
     });
   }
 
-  addIngressRuleIfNecessary(funcName, eventType, eventPath, eventHostname, namespace) {
-    const config = helpers.loadKubeConfig();
-    const extensions = this.getExtensions(helpers.getConnectionOptions(
-      config, { namespace })
+  // Updates a function that only differs in its replicas, without waiting for new pods
+  scaleFunction(body, thirdPartyResources) {
+    const replicas = _.get(body, 'spec.deployment.spec.replicas');
+    this.serverless.cli.log(
+      _.isUndefined(replicas) ?
+        `Restoring the default replicas of the function ${body.metadata.name}...` :
+        `Scaling function ${body.metadata.name} to ${replicas} replicas...`
     );
-    const fpath = eventPath || '/';
-    const hostname = eventHostname ||
-      `${url.parse(helpers.getKubernetesAPIURL(config)).hostname}.nip.io`;
     return new BbPromise((resolve, reject) => {
-      if (
-        eventType === 'http' &&
-        ((!_.isEmpty(eventPath) && eventPath !== '/') || !_.isEmpty(eventHostname))
-      ) {
+      thirdPartyResources.ns.functions(body.metadata.name).put({ body }, (err) => {
+        if (err) {
+          reject(new Error(
+            `Unable to scale the function ${body.metadata.name}. Received:\n` +
+            `  Code: ${err.code}\n` +
+            `  Message: ${err.message}`
+          ));
+        } else {
+          resolve(true);
+        }
+      });
+    });
+  }
+
+  addIngressRuleIfNecessary(funcName, httpEvents, namespace) {
+    const extensions = this.getExtensions(namespace);
+    const defaultHostname = `${url.parse(this.provider.getKubernetesAPIURL()).hostname}.nip.io`;
+    const needsIngress = _.some(httpEvents, e => (
+      (!_.isEmpty(e.path) && e.path !== '/') || !_.isEmpty(e.hostname)
+    ));
+    return new BbPromise((resolve, reject) => {
+      if (needsIngress) {
         // Found a path to deploy the function
-        const absolutePath = _.startsWith(fpath, '/') ?
-          fpath :
-          `/${fpath}`;
-        const ingressDef = getIngressDescription(funcName, absolutePath, hostname);
+        const routes = _.uniqWith(_.map(httpEvents, e => {
+          const fpath = e.path || '/';
+          return {
+            host: e.hostname || defaultHostname,
+            path: _.startsWith(fpath, '/') ? fpath : `/${fpath}`,
+          };
+        }), _.isEqual);
+        const ingressDef = getIngressDescription(funcName, routes);
         extensions.ns.ingress.post({ body: ingressDef }, (err) => {
           if (err) {
             reject(
@@ -376,7 +592,9 @@ class KubelessDeploy {
             );
           } else {
             if (this.options.verbose) {
-              this.serverless.cli.log(`Deployed Ingress rule to map ${absolutePath}`);
+              this.serverless.cli.log(
+                `Deployed Ingress rule to map ${_.map(routes, 'path').join(', ')}`
+              );
             }
             resolve();
           }
@@ -390,123 +608,267 @@ class KubelessDeploy {
     });
   }
 
+  deployKafkaTriggers(funcName, triggers, namespace) {
+    const kafkaTriggers = this.provider.getKafkaTriggers(namespace);
+    return BbPromise.all(_.map(triggers, trigger => new BbPromise((resolve, reject) => {
+      const body = getKafkaTriggerDescription(funcName, trigger, namespace);
+      const topic = trigger.topic;
+      kafkaTriggers.ns.kafkatriggers.post({ body }, (err) => {
+        // The trigger may exist from a previous deployment
+        if (err && err.code !== 409) {
+          reject(
+            `Unable to deploy the trigger of ${funcName} for the topic ${topic}. ` +
+            `Received: ${err.message}`
+          );
+        } else {
+          if (this.options.verbose) {
+            this.serverless.cli.log(`Deployed trigger ${body.metadata.name} for ${topic}`);
+          }
+          resolve();
+        }
+      });
+    })));
+  }
+
+  deployAutoscaler(funcName, settings, namespace) {
+    const body = autoscaling.getAutoscalerDescription(funcName, settings, namespace);
+    const autoscalers = this.provider.getAutoscaling(
+      namespace,
+      autoscaling.getAutoscalerVersion(settings)
+    ).ns.horizontalpodautoscalers;
+    return new BbPromise((resolve, reject) => {
+      const done = (err) => {
+        if (err) {
+          reject(
+            `Unable to deploy the autoscaler of ${funcName}. Received:\n` +
+            `  Code: ${err.code}\n` +
+            `  Message: ${err.message}`
+          );
+        } else {
+          if (this.options.verbose) {
+            this.serverless.cli.log(`Deployed autoscaler ${funcName}`);
+          }
+          resolve();
+        }
+      };
+      autoscalers.post({ body }, (err) => {
+        // The autoscaler may exist from a previous deployment
+        if (err && err.code === 409) {
+          autoscalers(funcName).put({ body }, done);
+        } else {
+          done(err);
+        }
+      });
+    });
+  }
+
+  // Creates the topics of the triggers of the given functions, all of them by default
+  createTopicsIfNecessary(functions) {
+    const settings = kafka.getTopicsSettings(this.serverless.service.provider.autoCreateTopics);
+    const topics = kafka.getTopics(functions || this.serverless.service.functions);
+    if (!settings || _.isEmpty(topics)) {
+      return BbPromise.resolve();
+    }
+    this.serverless.cli.log(`Creating topics ${_.map(topics, 'topic').join(', ')}...`);
+    return kafka.runTopicsJob(
+      this.provider.getBatch(settings.namespace, 'v1'),
+      kafka.getCreateTopicsScript(topics, settings),
+      settings
+    );
+  }
+
   deployFunction() {
     const errors = [];
     let counter = 0;
+    const eventGroups = _.mapValues(this.serverless.service.functions, description => (
+      groupEvents(!_.isEmpty(description.events) ? description.events : [{ http: { path: '/' } }])
+    ));
+    const functionsWithTriggers = _.keys(_.pickBy(eventGroups, g => !_.isEmpty(g.extraTriggers)));
+    if (!_.isEmpty(functionsWithTriggers) && !this.provider.usesCustomResources()) {
+      return BbPromise.reject(new Error(
+        `The functions ${functionsWithTriggers.join(', ')} have several event sources. ` +
+        'Combining topics with other events requires a Kubeless version that uses ' +
+        'CustomResourceDefinitions'
+      ));
+    }
+    const provider = this.serverless.service.provider;
+    const functionsWithReplicas = _.keys(_.pickBy(this.serverless.service.functions, d => (
+      !_.isNull(autoscaling.getReplicas(provider, d))
+    )));
+    if (!_.isEmpty(functionsWithReplicas) && !this.provider.usesCustomResources()) {
+      return BbPromise.reject(new Error(
+        `The functions ${functionsWithReplicas.join(', ')} set their replicas. ` +
+        'Setting the replicas requires a Kubeless version that uses CustomResourceDefinitions'
+      ));
+    }
+    // The whole package of a function is zipped, whether it is read from an artifact or
+    // from the service, but clusters using ThirdPartyResources only support the handler file
+    const hasIncludes = name => !_.isEmpty(this.getPackageSettings(name).include);
+    if (
+      !this.provider.usesCustomResources() &&
+      _.some(_.keys(this.serverless.service.functions), hasIncludes)
+    ) {
+      this.serverless.cli.log(
+        'Warning: package.include is ignored since the cluster only supports single file functions'
+      );
+    }
     return new BbPromise((resolve, reject) => {
       _.each(this.serverless.service.functions, (description, name) => {
         if (description.handler) {
           const runtime = this.serverless.service.provider.runtime;
           const files = this.getRuntimeFilenames(runtime, description.handler);
-          const connectionOptions = helpers.getConnectionOptions(
-            helpers.loadKubeConfig(), {
-              namespace: description.namespace ||
-              this.serverless.service.provider.namespace,
-            }
-          );
-          const thirdPartyResources = this.getThirdPartyResources(connectionOptions);
-          thirdPartyResources.addResource('functions');
-          this.getFunctionContent(files.handler)
+          const namespace = this.provider.getNamespace(description);
+          const thirdPartyResources = this.getThirdPartyResources(namespace);
+          const events = eventGroups[name];
+          const contentPromise = this.provider.usesCustomResources() ?
+            this.getPackage(name).then(pkg => this.getZipContent(pkg)) :
+            this.getFunctionContent(files.handler, name);
+          contentPromise
             .then(functionContent => {
-              this.getFunctionContent(files.deps)
+              (files.deps ? this.getFunctionContent(files.deps, name) : BbPromise.resolve())
                 .catch(() => {
                   // No requirements found
                 })
                 .then((requirementsContent) => {
-                  const events = !_.isEmpty(description.events) ?
-                    description.events :
-                    [{ http: { path: '/' } }];
-                  _.each(events, event => {
-                    const eventType = _.keys(event)[0];
-                    const funcs = getFunctionDescription(
-                      name,
-                      thirdPartyResources.namespaces.namespace,
-                      this.serverless.service.provider.runtime,
-                      requirementsContent,
-                      functionContent,
-                      description.handler,
-                      description.description,
-                      description.labels,
-                      description.environment,
-                      description.memorySize || this.serverless.service.provider.memorySize,
-                      eventType,
-                      event.trigger
-                    );
-                    let deploymentPromise = null;
-                    let redeployed = false;
-                    thirdPartyResources.ns.functions.get((err, functionsInfo) => {
-                      if (err) throw err;
-                      // Check if the function has been already deployed
-                      let existingFunction = false;
-                      let existingSameFunction = false;
-                      _.each(functionsInfo.items, item => {
-                        if (_.isEqual(item.metadata.name, funcs.metadata.name)) {
-                          existingFunction = true;
-                          if (_.isEqual(item.spec, funcs.spec)) {
-                            existingSameFunction = true;
-                          }
+                  const eventType = _.keys(events.mainEvent)[0];
+                  const funcs = getFunctionDescription(
+                    name,
+                    thirdPartyResources.namespaces.namespace,
+                    this.serverless.service.provider.runtime,
+                    requirementsContent,
+                    functionContent,
+                    description.handler,
+                    description.description,
+                    _.isEmpty(events.extraTriggers) ?
+                      description.labels :
+                      // Triggers select the function by its name
+                      _.assign({}, description.labels, { function: name }),
+                    environment.getEnvironment(provider, description),
+                    resources.getResources(provider, description),
+                    volumes.getVolumes(description),
+                    autoscaling.getReplicas(provider, description),
+                    eventType,
+                    events.mainEvent[eventType],
+                    this.provider.getFunctionsAPIVersion()
+                  );
+                  let deploymentPromise = null;
+                  let redeployed = false;
+                  let failed = false;
+                  thirdPartyResources.ns.functions.get((err, functionsInfo) => {
+                    if (err) throw err;
+                    // Check if the function has been already deployed
+                    let existingFunction = false;
+                    let existingSameFunction = false;
+                    let existingScaledFunction = false;
+                    _.each(functionsInfo.items, item => {
+                      if (_.isEqual(item.metadata.name, funcs.metadata.name)) {
+                        existingFunction = true;
+                        if (_.isEqual(item.spec, funcs.spec)) {
+                          existingSameFunction = true;
+                        } else if (_.isEqual(
+                          _.omit(item.spec, 'deployment'),
+                          _.omit(funcs.spec, 'deployment')
+                        )) {
+                          existingScaledFunction = true;
                         }
-                      });
-                      if (existingSameFunction) {
-                        // The same function is already deployed, skipping the deployment
-                        this.serverless.cli.log(
-                            `Function ${name} has not changed. Skipping deployment`
-                          );
-                        deploymentPromise = new BbPromise(r => r(false));
-                      } else if (existingFunction && this.options.force) {
-                        // The function already exits but with a different content
-                        deploymentPromise = this.redeployFunctionAndWait(
-                            funcs,
-                            thirdPartyResources
-                          );
-                        redeployed = true;
-                      } else {
-                        deploymentPromise = this.deployFunctionAndWait(funcs, thirdPartyResources);
                       }
-                      deploymentPromise.catch(deploymentErr => {
-                        errors.push(deploymentErr);
+                    });
+                    if (existingSameFunction) {
+                      // The same function is already deployed, skipping the deployment
+                      this.serverless.cli.log(
+                          `Function ${name} has not changed. Skipping deployment`
+                        );
+                      deploymentPromise = new BbPromise(r => r(false));
+                    } else if (existingScaledFunction) {
+                      // Changing the replicas doesn't require deploying the code again
+                      deploymentPromise = this.scaleFunction(funcs, thirdPartyResources);
+                      redeployed = true;
+                    } else if (existingFunction && this.options.force) {
+                      // The function already exits but with a different content
+                      deploymentPromise = this.redeployFunctionAndWait(
+                          funcs,
+                          thirdPartyResources
+                        );
+                      redeployed = true;
+                    } else {
+                      deploymentPromise = this.deployFunctionAndWait(funcs, thirdPartyResources);
+                    }
+                    deploymentPromise.catch(deploymentErr => {
+                      failed = true;
+                      errors.push(deploymentErr);
+                    })
+                      .then((deployed) => {
+                        if (!deployed || redeployed) {
+                          // If there were an error with the deployment
+                          // or the function is already deployed
+                          // don't try to add an ingress rule
+                          return new BbPromise((r) => r());
+                        }
+                        return this.addIngressRuleIfNecessary(
+                          name,
+                          _.map(events.httpEvents, event => ({
+                            path: event.http.path,
+                            hostname: this.serverless.service.provider.hostname ||
+                              event.http.hostname,
+                          })),
+                          namespace
+                        );
                       })
-                        .then((deployed) => {
-                          if (!deployed || redeployed) {
-                            // If there were an error with the deployment
-                            // or the function is already deployed
-                            // don't try to add an ingress rule
-                            return new BbPromise((r) => r());
-                          }
-                          if (_.isUndefined(event[eventType])) {
-                            throw new Error(
-                              `Wrong defintion for the event ${event}. ` +
-                              'Expecting an Object with valid keys.'
-                            );
-                          }
-                          return this.addIngressRuleIfNecessary(
+                      .catch(ingressErr => {
+                        errors.push(ingressErr);
+                      })
+                      .then(() => {
+                        if (failed || _.isEmpty(events.extraTriggers)) {
+                          return new BbPromise((r) => r());
+                        }
+                        return this.deployKafkaTriggers(
+                          name,
+                          events.extraTriggers,
+                          thirdPartyResources.namespaces.namespace
+                        );
+                      })
+                      .catch(triggerErr => {
+                        errors.push(triggerErr);
+                      })
+                      .then(() => {
+                        if (failed) {
+                          return new BbPromise((r) => r());
+                        }
+                        return description.autoscaling ?
+                          this.deployAutoscaler(
+                            name,
+                            description.autoscaling,
+                            thirdPartyResources.namespaces.namespace
+                          ) :
+                          // The function may have autoscaled in a previous deployment
+                          autoscaling.removeAutoscaler(
+                            this.provider.getAutoscaling(
+                              thirdPartyResources.namespaces.namespace,
+                              'v1'
+                            ),
                             name,
-                            eventType,
-                            event[eventType].path,
-                            this.serverless.service.provider.hostname || event[eventType].hostname,
-                            connectionOptions.namespace
+                            this.options.verbose && (m => this.serverless.cli.log(m))
                           );
-                        })
-                        .catch(ingressErr => {
-                          errors.push(ingressErr);
-                        })
-                        .then(() => {
-                          counter++;
-                          if (counter === _.keys(this.serverless.service.functions).length) {
-                            if (_.isEmpty(errors)) {
-                              resolve();
-                            } else {
-                              reject(
-                                'Found errors while deploying the given functions:\n' +
-                                `${errors.join('\n')}`
-                              );
-                            }
+                      })
+                      .catch(autoscalerErr => {
+                        errors.push(autoscalerErr);
+                      })
+                      .then(() => {
+                        counter++;
+                        if (counter === _.keys(this.serverless.service.functions).length) {
+                          if (_.isEmpty(errors)) {
+                            resolve();
+                          } else {
+                            reject(
+                              'Found errors while deploying the given functions:\n' +
+                              `${errors.join('\n')}`
+                            );
                           }
-                        });
-                    });
+                        }
+                      });
                   });
                 });
-            });
+            }, reject);
         } else {
           this.serverless.cli.log(
             `Skipping deployment of ${name} since it doesn't have a handler`
@@ -28,7 +28,13 @@ class KubelessDeployFunction extends KubelessDeploy {
     this.hooks = {
       'deploy:function:deploy': () => BbPromise.bind(this)
       .then(this.validate)
-      .then(this.deployFunction),
+      .then(() => this.provider.forEachCluster(() => (
+        this.checkRuntime()
+          .then(() => this.createTopicsIfNecessary(
+            _.pick(this.serverless.service.functions, this.options.function)
+          ))
+          .then(() => this.deployFunction())
+      ))),
     };
   }
 
@@ -0,0 +1,242 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+const BbPromise = require('bluebird');
+const chalk = require('chalk');
+const helpers = require('../lib/helpers');
+
+class KubelessDoctor {
+  constructor(serverless, options) {
+    this.serverless = serverless;
+    this.options = options || {};
+    this.provider = this.serverless.getProvider('kubeless');
+    this.commands = {
+      kubeless: {
+        usage: 'Kubeless specific commands',
+        commands: {
+          doctor: {
+            usage: 'Check that the cluster meets the requirements of the plugin',
+            lifecycleEvents: [
+              'doctor',
+            ],
+            options: {
+              context: {
+                usage: 'Kubernetes context to use',
+              },
+              kubeconfig: {
+                usage: 'Path to the Kubernetes configuration file',
+              },
+            },
+          },
+        },
+      },
+    };
+    this.hooks = {
+      'kubeless:doctor:doctor': () => BbPromise.bind(this)
+        .then(this.validate)
+        .then(this.runChecks),
+    };
+  }
+
+  validate() {
+    const unsupportedOptions = ['stage', 'region'];
+    helpers.warnUnsupportedOptions(
+      unsupportedOptions,
+      this.options,
+      this.serverless.cli.log.bind(this.serverless.cli)
+    );
+    return BbPromise.resolve();
+  }
+
+  request(method, path, body) {
+    const core = this.provider.getCore(this.serverless.service.provider.namespace);
+    return new BbPromise((resolve, reject) => {
+      core[method]({ path, body }, (err, res) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(res);
+        }
+      });
+    });
+  }
+
+  checkAPIServer() {
+    const apiURL = this.provider.getKubernetesAPIURL();
+    return this.request('get', '/api').then(res => {
+      if (res.statusCode === 200) {
+        return { success: true, message: `API server reachable at ${apiURL}` };
+      }
+      return {
+        success: false,
+        message: `API server at ${apiURL} returned ${res.statusCode}`,
+        hint: res.statusCode === 401 || res.statusCode === 403 ?
+          'Check the credentials of the current context in your Kubernetes configuration' :
+          'Check that the server URL of the current context is correct',
+      };
+    }).catch(err => ({
+      success: false,
+      message: `Unable to reach the API server at ${apiURL}: ${err.message}`,
+      hint: 'Check that the cluster is running and that you can access it with kubectl',
+    }));
+  }
+
+  checkFunctionResource() {
+    return this.provider.detectFunctionsAPI().then(apiVersion => {
+      if (apiVersion) {
+        return { success: true, message: `Function resource registered (${apiVersion})` };
+      }
+      return {
+        success: false,
+        message: 'Function resource not registered',
+        hint: 'Install kubeless in the cluster: https://github.com/kubeless/kubeless#installation',
+      };
+    });
+  }
+
+  // Looks for the pods in the given namespace or in every namespace if there isn't one
+  checkRunningPods(description, namespace, filter, hint) {
+    const podsPath = namespace ? `/api/v1/namespaces/${namespace}/pods` : '/api/v1/pods';
+    return this.request('get', podsPath).then(res => {
+      if (res.statusCode !== 200) {
+        return {
+          success: false,
+          message: `Unable to retrieve the status of the ${description}: ` +
+            `${_.get(res, 'body.message') || `Received ${res.statusCode}`}`,
+          hint: res.statusCode === 401 || res.statusCode === 403 ?
+            'Ask your cluster administrator for permission to list pods ' +
+            `${namespace ? `in ${namespace}` : 'in every namespace'}` :
+            hint,
+        };
+      }
+      const pods = _.filter(_.get(res, 'body.items'), filter);
+      const running = _.some(pods, p => p.status && p.status.phase === 'Running');
+      if (running) {
+        return { success: true, message: `${description} running` };
+      }
+      return {
+        success: false,
+        message: _.isEmpty(pods) ?
+          `${description} not found` :
+          `${description} not running`,
+        hint,
+      };
+    }).catch(err => ({
+      success: false,
+      message: `Unable to retrieve the status of the ${description}: ${err.message}`,
+      hint,
+    }));
+  }
+
+  checkKubelessController() {
+    return this.checkRunningPods(
+      'Kubeless controller',
+      'kubeless',
+      p => _.startsWith(p.metadata.name, 'kubeless-controller'),
+      'Check the kubeless-controller deployment in the kubeless namespace'
+    );
+  }
+
+  checkIngressController() {
+    return this.checkRunningPods(
+      'Ingress controller',
+      null,
+      p => !!p.metadata.name.match(/ingress/) && !!p.metadata.name.match(/controller/),
+      'Functions with an HTTP path or hostname need an ingress controller ' +
+      '(e.g. "minikube addons enable ingress")'
+    );
+  }
+
+  checkPermission(verb, group, resource) {
+    const namespace = this.serverless.service.provider.namespace ||
+      this.provider.getDefaultNamespace();
+    const body = {
+      apiVersion: 'authorization.k8s.io/v1',
+      kind: 'SelfSubjectAccessReview',
+      spec: {
+        resourceAttributes: { namespace, verb, group, resource },
+      },
+    };
+    return this.request(
+      'post',
+      '/apis/authorization.k8s.io/v1/selfsubjectaccessreviews',
+      body
+    ).then(res => {
+      if (res.statusCode !== 201 && res.statusCode !== 200) {
+        throw new Error(_.get(res, 'body.message') || `Received ${res.statusCode}`);
+      }
+      if (_.get(res, 'body.status.allowed')) {
+        return { success: true, message: `Allowed to ${verb} ${resource} in ${namespace}` };
+      }
+      return {
+        success: false,
+        message: `Not allowed to ${verb} ${resource} in ${namespace}`,
+        hint: `Ask your cluster administrator for permission to ${verb} ${resource}`,
+      };
+    }).catch(err => ({
+      success: false,
+      message: `Unable to check the permission to ${verb} ${resource}: ${err.message}`,
+      hint: 'The cluster may not support SelfSubjectAccessReview (Kubernetes 1.6 or later)',
+    }));
+  }
+
+  formatResult(result) {
+    let message = result.success ?
+      `${chalk.green('[PASS]')} ${result.message}` :
+      `${chalk.red('[FAIL]')} ${result.message}`;
+    if (!result.success && result.hint) {
+      message += `\n       ${chalk.yellow('Hint:')} ${result.hint}`;
+    }
+    return message;
+  }
+
+  runChecks() {
+    const results = [];
+    const report = (result) => {
+      results.push(result);
+      this.serverless.cli.consoleLog(this.formatResult(result));
+      return result;
+    };
+    return this.checkAPIServer().then(report).then(apiResult => {
+      if (!apiResult.success) {
+        // The rest of the checks need access to the cluster
+        return null;
+      }
+      return BbPromise.mapSeries([
+        () => this.checkFunctionResource(),
+        () => this.checkKubelessController(),
+        () => this.checkIngressController(),
+        () => this.checkPermission(
+          'create',
+          this.provider.getFunctionsAPIVersion().split('/')[0],
+          'functions'
+        ),
+        () => this.checkPermission('create', 'extensions', 'ingresses'),
+        () => this.checkPermission('create', '', 'pods'),
+      ], check => check().then(report));
+    }).then(() => {
+      if (!_.every(results, 'success')) {
+        process.exitCode = process.exitCode || 1;
+      }
+      return results;
+    });
+  }
+}
+
+module.exports = KubelessDoctor;
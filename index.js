@@ -29,6 +29,7 @@ const KubelessRemove = require('./remove/kubelessRemove');
 const KubelessInvoke = require('./invoke/kubelessInvoke');
 const KubelessInfo = require('./info/kubelessInfo');
 const KubelessLogs = require('./logs/kubelessLogs');
+const KubelessDoctor = require('./doctor/kubelessDoctor');
 
 class KubelessIndex {
   constructor(serverless, options) {
@@ -42,6 +43,7 @@ class KubelessIndex {
     this.serverless.pluginManager.addPlugin(KubelessInvoke);
     this.serverless.pluginManager.addPlugin(KubelessInfo);
     this.serverless.pluginManager.addPlugin(KubelessLogs);
+    this.serverless.pluginManager.addPlugin(KubelessDoctor);
   }
 }
 
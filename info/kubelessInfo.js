@@ -17,7 +17,6 @@
 'use strict';
 
 const _ = require('lodash');
-const Api = require('kubernetes-client');
 const BbPromise = require('bluebird');
 const chalk = require('chalk');
 const helpers = require('../lib/helpers');
@@ -42,13 +41,19 @@ class KubelessInfo {
             usage: 'Display metadata',
             shortcut: 'v',
           },
+          context: {
+            usage: 'Kubernetes context to use',
+          },
+          kubeconfig: {
+            usage: 'Path to the Kubernetes configuration file',
+          },
         },
       },
     };
     this.hooks = {
       'info:info': () => BbPromise.bind(this)
         .then(this.validate)
-        .then(this.infoFunction),
+        .then(() => this.provider.forEachCluster(() => this.infoFunction())),
     };
   }
 
@@ -99,9 +104,15 @@ class KubelessInfo {
     message += `${chalk.yellow('Runtime: ')} ${f.runtime}\n`;
     if (f.type === 'PubSub' && !_.isEmpty(f.topic)) {
       message += `${chalk.yellow('Topic Trigger:')} ${f.topic}\n`;
+    } else if (f.type === 'Scheduled' && !_.isEmpty(f.schedule)) {
+      message += `${chalk.yellow('Schedule:')} ${f.schedule}\n`;
     } else {
       message += `${chalk.yellow('Trigger: ')} ${f.type}\n`;
     }
+    if (f.autoscaler) {
+      message += `${chalk.yellow('Replicas: ')} ${f.autoscaler.current} ` +
+        `(desired ${f.autoscaler.desired}, min ${f.autoscaler.min}, max ${f.autoscaler.max})\n`;
+    }
     message += `${chalk.yellow('Dependencies: ')} ${f.deps}`;
     if (this.options.verbose) {
       message += `\n${chalk.yellow('Metadata:')}\n`;
@@ -112,24 +123,44 @@ class KubelessInfo {
     return message;
   }
 
+  getAutoscalerStatus(funcName, desc, namespace) {
+    if (!desc.autoscaling) {
+      return BbPromise.resolve(null);
+    }
+    const autoscalers = this.provider.getAutoscaling(namespace, 'v1').ns.horizontalpodautoscalers;
+    return new BbPromise((resolve) => {
+      autoscalers.get(funcName, (err, autoscaler) => {
+        // The autoscaler may not have been deployed yet
+        if (err) {
+          resolve(null);
+        } else {
+          resolve({
+            current: autoscaler.status.currentReplicas || 0,
+            desired: autoscaler.status.desiredReplicas || 0,
+            min: autoscaler.spec.minReplicas,
+            max: autoscaler.spec.maxReplicas,
+          });
+        }
+      });
+    });
+  }
+
   infoFunction(options) {
     let counter = 0;
     let message = '';
     return new BbPromise((resolve) => {
       _.each(this.serverless.service.functions, (desc, f) => {
-        const connectionOptions = helpers.getConnectionOptions(helpers.loadKubeConfig(), {
-          namespace: desc.namespace || this.serverless.service.provider.namespace,
-        });
-        const core = new Api.Core(connectionOptions);
-        const thirdPartyResources = new Api.ThirdPartyResources(connectionOptions);
-        const extensions = new Api.Extensions(connectionOptions);
-        thirdPartyResources.addResource('functions');
+        const namespace = this.provider.getNamespace(desc);
+        const core = this.provider.getCore(namespace);
+        const functionsAPI = this.provider.getFunctions(namespace);
+        const extensions = this.provider.getExtensions(namespace);
         core.services.get((err, servicesInfo) => {
           if (err) throw new this.serverless.classes.Error(err);
-          thirdPartyResources.ns.functions.get((ferr, functionsInfo) => {
+          functionsAPI.ns.functions.get((ferr, functionsInfo) => {
             if (ferr) throw new this.serverless.classes.Error(ferr);
             extensions.ns.ingress.get((ierr, ingressInfo) => {
               if (ierr) throw this.serverless.classes.Error(ierr);
+              let infoPromise = BbPromise.resolve();
               const fDesc = _.find(functionsInfo.items, item => item.metadata.name === f);
               const functionService = _.find(
                 servicesInfo.items,
@@ -148,8 +179,11 @@ class KubelessInfo {
                 ));
                 let url = null;
                 if (fIngress) {
-                  url = `${fIngress.spec.rules[0].host || 'API_URL'}` +
-                    `${fIngress.spec.rules[0].http.paths[0].path}`;
+                  // Functions with several http events have a path for each of them
+                  url = _.flatMap(fIngress.spec.rules, rule => _.map(
+                    rule.http.paths,
+                    p => `${rule.host || 'API_URL'}${p.path}`
+                  )).join(', ');
                 }
                 const service = {
                   name: functionService.metadata.name,
@@ -166,6 +200,7 @@ class KubelessInfo {
                   handler: fDesc.spec.handler,
                   runtime: fDesc.spec.runtime,
                   topic: fDesc.spec.topic,
+                  schedule: fDesc.spec.schedule,
                   type: fDesc.spec.type,
                   deps: fDesc.spec.deps,
                   annotations: fDesc.metadata.annotations,
@@ -174,19 +209,24 @@ class KubelessInfo {
                   uid: fDesc.metadata.uid,
                   timestamp: fDesc.metadata.creationTimestamp,
                 };
-                message += this.formatMessage(
-                  service,
-                  func,
-                  _.defaults({}, options, { color: true })
-                );
+                infoPromise = this.getAutoscalerStatus(f, desc, namespace).then(autoscaler => {
+                  func.autoscaler = autoscaler;
+                  message += this.formatMessage(
+                    service,
+                    func,
+                    _.defaults({}, options, { color: true })
+                  );
+                });
               }
-              counter++;
-              if (counter === _.keys(this.serverless.service.functions).length) {
-                if (!_.isEmpty(message)) {
-                  this.serverless.cli.consoleLog(message);
+              infoPromise.then(() => {
+                counter++;
+                if (counter === _.keys(this.serverless.service.functions).length) {
+                  if (!_.isEmpty(message)) {
+                    this.serverless.cli.consoleLog(message);
+                  }
+                  resolve(message);
                 }
-                resolve(message);
-              }
+              });
             });
           });
         });
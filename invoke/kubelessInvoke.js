@@ -93,14 +93,12 @@ class KubelessInvoke {
   invokeFunction(func, data) {
     const f = func || this.options.function;
     this.serverless.cli.log(`Calling function: ${f}...`);
-    const config = helpers.loadKubeConfig();
-    const APIRootUrl = helpers.getKubernetesAPIURL(config);
-    const namespace = this.serverless.service.functions[f].namespace ||
-      this.serverless.service.provider.namespace ||
-      helpers.getDefaultNamespace(config);
+    const APIRootUrl = this.provider.getKubernetesAPIURL();
+    const namespace = this.provider.getNamespace(this.serverless.service.functions[f]) ||
+      this.provider.getDefaultNamespace();
     const url = `${APIRootUrl}/api/v1/proxy/namespaces/${namespace}/services/${f}/`;
-    const connectionOptions = Object.assign(
-      helpers.getConnectionOptions(helpers.loadKubeConfig()),
+    const connectionOptions = helpers.getRequestOptions(
+      this.provider.getConnectionOptions(namespace),
       { url }
     );
     const requestData = this.getData(data);
@@ -0,0 +1,134 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+const BbPromise = require('bluebird');
+
+// The replicas of a function can't be set if an autoscaler manages them
+function getReplicas(provider, description) {
+  if (description.autoscaling) {
+    return null;
+  }
+  const replicas = _.has(description, 'replicas') ? description.replicas : provider.replicas;
+  return _.isUndefined(replicas) ? null : replicas;
+}
+
+function isValidReplicas(replicas) {
+  return _.isInteger(replicas) && replicas >= 0;
+}
+
+const autoscalingSettings = ['minReplicas', 'maxReplicas', 'targetCPU', 'metric'];
+
+// Returns the reason why the autoscaling settings are not valid or null if they are valid
+function checkAutoscaling(autoscaling) {
+  if (!_.isPlainObject(autoscaling)) {
+    return 'it should be an object';
+  }
+  const unknown = _.difference(_.keys(autoscaling), autoscalingSettings);
+  if (!_.isEmpty(unknown)) {
+    return `unknown settings ${unknown.join(', ')}. Supported: ${autoscalingSettings.join(', ')}`;
+  }
+  const notPositive = _.find(['maxReplicas', 'minReplicas', 'targetCPU'], k => (
+    (k === 'maxReplicas' || _.has(autoscaling, k)) &&
+    !(_.isInteger(autoscaling[k]) && autoscaling[k] > 0)
+  ));
+  if (notPositive) {
+    return `${notPositive} should be a positive integer`;
+  }
+  if (autoscaling.minReplicas > autoscaling.maxReplicas) {
+    return 'minReplicas can\'t be greater than maxReplicas';
+  }
+  const metric = autoscaling.metric;
+  if (_.has(autoscaling, 'metric') &&
+    !(_.isPlainObject(metric) && _.isString(metric.name) && _.has(metric, 'target'))) {
+    return 'metric should be an object with the name and the target value of a custom metric';
+  }
+  return null;
+}
+
+// Custom metrics are only supported by autoscaling/v2beta1
+function getAutoscalerVersion(autoscaling) {
+  return autoscaling.metric ? 'v2beta1' : 'v1';
+}
+
+function getAutoscalerDescription(funcName, autoscaling, namespace) {
+  const version = getAutoscalerVersion(autoscaling);
+  const spec = {
+    scaleTargetRef: { apiVersion: 'extensions/v1beta1', kind: 'Deployment', name: funcName },
+    minReplicas: autoscaling.minReplicas || 1,
+    maxReplicas: autoscaling.maxReplicas,
+  };
+  if (version === 'v1') {
+    if (autoscaling.targetCPU) {
+      spec.targetCPUUtilizationPercentage = autoscaling.targetCPU;
+    }
+  } else {
+    spec.metrics = _.compact([
+      autoscaling.targetCPU ? {
+        type: 'Resource',
+        resource: { name: 'cpu', targetAverageUtilization: autoscaling.targetCPU },
+      } : null,
+      {
+        type: 'Pods',
+        pods: {
+          metricName: autoscaling.metric.name,
+          targetAverageValue: autoscaling.metric.target.toString(),
+        },
+      },
+    ]);
+  }
+  return {
+    apiVersion: `autoscaling/${version}`,
+    kind: 'HorizontalPodAutoscaler',
+    metadata: {
+      name: funcName,
+      namespace,
+      labels: { function: funcName },
+    },
+    spec,
+  };
+}
+
+// Removes the autoscaler of a function if it has one, logging the removal with the given function
+function removeAutoscaler(client, funcName, log) {
+  return new BbPromise((resolve, reject) => {
+    client.ns.horizontalpodautoscalers.delete(funcName, (err) => {
+      if (err && err.code !== 404) {
+        reject(
+          `Unable to remove the autoscaler of ${funcName}. Received:\n` +
+          `  Code: ${err.code}\n` +
+          `  Message: ${err.message}`
+        );
+      } else {
+        if (!err && log) {
+          log(`Removed autoscaler ${funcName}`);
+        }
+        resolve();
+      }
+    });
+  });
+}
+
+module.exports = {
+  getReplicas,
+  isValidReplicas,
+  checkAutoscaling,
+  getAutoscalerVersion,
+  getAutoscalerDescription,
+  removeAutoscaler,
+};
@@ -0,0 +1,92 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+
+// Sources of a single variable and of a whole set of them
+const keyRefs = ['secretKeyRef', 'configMapKeyRef'];
+const refs = ['secretRef', 'configMapRef'];
+
+// Returns the single key of an object if it is one of the given ones
+function getRefType(value, types) {
+  const keys = _.keys(value);
+  return keys.length === 1 && _.includes(types, keys[0]) ? keys[0] : null;
+}
+
+function checkRef(ref, settings) {
+  return _.isPlainObject(ref) &&
+    _.isEmpty(_.difference(_.keys(ref), _.concat(settings, 'optional'))) &&
+    _.every(settings, s => _.isString(ref[s]) && !_.isEmpty(ref[s])) &&
+    (!_.has(ref, 'optional') || _.isBoolean(ref.optional));
+}
+
+function getVariable(value, name) {
+  if (!_.isObject(value)) {
+    return { name, value: _.toString(value) };
+  }
+  const type = getRefType(value, keyRefs);
+  if (!type || !checkRef(value[type], ['name', 'key'])) {
+    throw new Error(
+      `the variable ${name} should be a value or an object with a ${keyRefs.join(' or a ')} ` +
+      'with the name and the key to read'
+    );
+  }
+  return { name, valueFrom: value };
+}
+
+function getSource(source) {
+  const type = getRefType(_.omit(source, 'prefix'), refs);
+  if (
+    !type || !checkRef(source[type], ['name']) ||
+    (_.has(source, 'prefix') && !_.isString(source.prefix))
+  ) {
+    throw new Error(
+      `the entries of envFrom should have a ${refs.join(' or a ')} with a name. ` +
+      `Found: ${JSON.stringify(source)}`
+    );
+  }
+  return source;
+}
+
+function getSources(description) {
+  const sources = description.envFrom || [];
+  if (!_.isArray(sources)) {
+    throw new Error('envFrom should be a list');
+  }
+  return _.map(sources, getSource);
+}
+
+// Returns the env and envFrom of the container of a function, where the variables of the
+// function override the ones of the provider, or null if there aren't any
+function getEnvironment(provider, description) {
+  _.each([provider.environment, description.environment], environment => {
+    if (!_.isUndefined(environment) && !_.isPlainObject(environment)) {
+      throw new Error('environment should be an object');
+    }
+  });
+  const variables = _.assign({}, provider.environment, description.environment);
+  const result = _.omitBy({
+    env: _.map(variables, getVariable),
+    envFrom: _.uniqWith(_.concat(getSources(provider), getSources(description)), _.isEqual),
+  }, _.isEmpty);
+  return _.isEmpty(result) ? null : result;
+}
+
+module.exports = {
+  getEnvironment,
+};
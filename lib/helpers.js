@@ -17,36 +17,134 @@
 'use strict';
 
 const _ = require('lodash');
+const BbPromise = require('bluebird');
+const childProcess = require('child_process');
 const fs = require('fs');
 const moment = require('moment');
 const path = require('path');
+const request = require('request');
+const url = require('url');
 const yaml = require('js-yaml');
 
-function loadKubeConfig() {
+function getContextInfo(config, context) {
+  const contextInfo = _.find(config.contexts, c => c.name === context);
+  if (!contextInfo) {
+    throw new Error(`Unable to find configuration of context ${context}`);
+  }
+  return contextInfo.context;
+}
+
+const serviceAccountPath = '/var/run/secrets/kubernetes.io/serviceaccount';
+
+function loadInClusterConfig(saPath) {
+  // Generates a configuration equivalent to the one used by
+  // the Kubernetes clients when running inside a pod
+  const accountPath = saPath || serviceAccountPath;
+  const host = process.env.KUBERNETES_SERVICE_HOST;
+  const port = process.env.KUBERNETES_SERVICE_PORT;
+  const tokenFile = path.join(accountPath, 'token');
+  if (_.isEmpty(host) || _.isEmpty(port) || !fs.existsSync(tokenFile)) {
+    return null;
+  }
+  const cluster = {
+    // IPv6 addresses should be enclosed in brackets
+    server: `https://${host.match(/:/) ? `[${host}]` : host}:${port}`,
+  };
+  const caFile = path.join(accountPath, 'ca.crt');
+  if (fs.existsSync(caFile)) {
+    cluster['certificate-authority'] = caFile;
+  }
+  const context = { cluster: 'in-cluster', user: 'in-cluster' };
+  const namespaceFile = path.join(accountPath, 'namespace');
+  if (fs.existsSync(namespaceFile)) {
+    context.namespace = fs.readFileSync(namespaceFile).toString().trim();
+  }
+  return {
+    apiVersion: 'v1',
+    kind: 'Config',
+    'current-context': 'in-cluster',
+    clusters: [{ name: 'in-cluster', cluster }],
+    contexts: [{ name: 'in-cluster', context }],
+    users: [{ name: 'in-cluster', user: { tokenFile } }],
+  };
+}
+
+function mergeKubeConfig(config, newConfig) {
+  const result = _.defaults({}, config, _.omit(newConfig, ['current-context']));
+  // Named lists are merged by entry name, the first definition of a name wins
+  _.each(['clusters', 'contexts', 'users'], list => {
+    result[list] = _.unionBy(config[list], newConfig[list], 'name');
+  });
+  // The current context is taken from the first file that sets it
+  result['current-context'] = config['current-context'] || newConfig['current-context'];
+  return result;
+}
+
+function getKubeConfigFiles(options) {
+  const opts = options || {};
+  const kubeCfgFiles = opts.kubeconfig || process.env.KUBECONFIG;
+  return kubeCfgFiles ?
+    _.compact(kubeCfgFiles.split(path.delimiter)) :
+    [path.join(process.env.HOME, '.kube/config')];
+}
+
+function loadKubeConfig(options) {
+  const opts = options || {};
   const kubeCfgPath = path.join(process.env.HOME, '.kube/config');
   let config = {};
-  if (process.env.KUBECONFIG) {
-    const configFiles = process.env.KUBECONFIG.split(':');
+  if (opts.kubeconfig || process.env.KUBECONFIG) {
+    const configFiles = getKubeConfigFiles(opts);
     _.each(configFiles, configFile => {
-      _.defaults(config, yaml.safeLoad(fs.readFileSync(configFile)));
+      // Like kubectl, files that don't exist are ignored
+      if (fs.existsSync(configFile)) {
+        config = mergeKubeConfig(config, yaml.safeLoad(fs.readFileSync(configFile)) || {});
+      }
     });
   } else if (!fs.existsSync(kubeCfgPath)) {
-    throw new Error(
-      'Unable to locate the configuration file for your cluster. ' +
-      'Make sure you have your cluster configured locally'
-    );
+    config = loadInClusterConfig();
+    if (!config) {
+      throw new Error(
+        'Unable to locate the configuration file for your cluster. ' +
+        'Make sure you have your cluster configured locally'
+      );
+    }
   } else {
     config = yaml.safeLoad(fs.readFileSync(kubeCfgPath));
   }
+  if (opts.context) {
+    // The selected context replaces the current one for every helper
+    getContextInfo(config, opts.context);
+    config['current-context'] = opts.context;
+  }
+  if (opts.insecureSkipTlsVerify) {
+    const clusterName = getContextInfo(config, config['current-context']).cluster;
+    const clusterInfo = _.find(config.clusters, c => c.name === clusterName);
+    if (clusterInfo) {
+      clusterInfo.cluster['insecure-skip-tls-verify'] = true;
+    }
+  }
   return config;
 }
 
-function getContextInfo(config, context) {
-  const contextInfo = _.find(config.contexts, c => c.name === context);
-  if (!contextInfo) {
-    throw new Error(`Unable to find configuration of context ${context}`);
+function getKubeConfigOptions(serverless, options) {
+  // Options given in the command line take precedence over the provider ones
+  const provider = serverless.service.provider;
+  const opts = options || {};
+  let kubeconfig = opts.kubeconfig || provider.kubeconfig;
+  if (kubeconfig) {
+    kubeconfig = _.map(kubeconfig.split(path.delimiter), p => {
+      const expandedPath = p.replace(/^~(?=$|\/)/, process.env.HOME);
+      return opts.kubeconfig ?
+        path.resolve(expandedPath) :
+        path.resolve(serverless.config.servicePath || '.', expandedPath);
+    }).join(path.delimiter);
   }
-  return contextInfo.context;
+  return _.omitBy({
+    kubeconfig,
+    context: opts.context || provider.context,
+    // Skipping the TLS verification needs to be explicitly requested
+    insecureSkipTlsVerify: provider.insecureSkipTlsVerify === true ? true : undefined,
+  }, _.isUndefined);
 }
 
 function getClusterInfo(config, context) {
@@ -77,6 +175,26 @@ function getKubernetesAPIURL(config) {
   return clusterURL;
 }
 
+function getProxy(clusterInfo, clusterURL) {
+  if (clusterInfo.cluster['proxy-url']) {
+    return clusterInfo.cluster['proxy-url'];
+  }
+  const hostname = url.parse(clusterURL).hostname;
+  const noProxy = process.env.NO_PROXY || process.env.no_proxy || '';
+  const excluded = _.some(noProxy.split(','), entry => {
+    const domain = entry.trim().replace(/:\d+$/, '').replace(/^\*?\./, '');
+    return domain === '*' || (
+      !_.isEmpty(domain) && (hostname === domain || _.endsWith(hostname, `.${domain}`))
+    );
+  });
+  if (excluded) {
+    return null;
+  }
+  return _.startsWith(clusterURL, 'https') ?
+    process.env.HTTPS_PROXY || process.env.https_proxy || null :
+    process.env.HTTP_PROXY || process.env.http_proxy || null;
+}
+
 function getPropertyText(property, info) {
   // Data could be pointing to a file or be base64 encoded
   let result = null;
@@ -88,11 +206,90 @@ function getPropertyText(property, info) {
   return result;
 }
 
+// Credentials returned by exec plugins, indexed by the plugin configuration
+const execCredentialsCache = {};
+
+function getExecCredential(execInfo) {
+  const cacheKey = JSON.stringify(execInfo);
+  const cached = execCredentialsCache[cacheKey];
+  if (cached && (!cached.expirationTimestamp || moment(cached.expirationTimestamp) > moment())) {
+    return cached;
+  }
+  const env = _.clone(process.env);
+  _.each(execInfo.env, e => {
+    env[e.name] = e.value;
+  });
+  let output = null;
+  try {
+    output = childProcess.execFileSync(execInfo.command, execInfo.args || [], {
+      env,
+      stdio: ['ignore', 'pipe', 'inherit'],
+    });
+  } catch (e) {
+    throw new Error(
+      `Unable to retrieve credentials executing "${execInfo.command}": ${e.message}`
+    );
+  }
+  let execCredential = null;
+  try {
+    execCredential = JSON.parse(output.toString());
+  } catch (e) {
+    throw new Error(
+      `Unable to parse the credentials returned by "${execInfo.command}": ${e.message}`
+    );
+  }
+  if (_.isEmpty(execCredential.status)) {
+    throw new Error(`The command "${execInfo.command}" didn't return any credentials`);
+  }
+  execCredentialsCache[cacheKey] = execCredential.status;
+  return execCredential.status;
+}
+
+// ID tokens obtained refreshing OIDC credentials, indexed by refresh token
+const refreshedTokensCache = {};
+
+function getJWTExpiry(token) {
+  // The expiration time is part of the payload of the token
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const exp = JSON.parse(Buffer.from(payload, 'base64').toString()).exp;
+    return exp ? moment.unix(exp) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function getOIDCToken(oidcConfig) {
+  const idToken = refreshedTokensCache[oidcConfig['refresh-token']] || oidcConfig['id-token'];
+  const expiry = idToken ? getJWTExpiry(idToken) : null;
+  if (!idToken || (expiry && expiry < moment())) {
+    return null;
+  }
+  return idToken;
+}
+
 function getToken(userInfo) {
   const token = _.get(userInfo, 'user.token');
   const accessToken = _.get(userInfo, 'user.auth-provider.config.access-token');
+  const tokenFile = _.get(userInfo, 'user.tokenFile');
+  const execInfo = _.get(userInfo, 'user.exec');
+  const authProvider = _.get(userInfo, 'user.auth-provider');
   if (token) {
     return token;
+  } else if (_.get(authProvider, 'name') === 'oidc') {
+    const idToken = getOIDCToken(authProvider.config || {});
+    if (!idToken) {
+      throw new Error(
+        'The access token has expired. Make sure you can access your cluster and try again'
+      );
+    }
+    return idToken;
+  } else if (tokenFile) {
+    // The file is read every time since its content may be rotated
+    return fs.readFileSync(tokenFile).toString().trim();
+  } else if (execInfo) {
+    // The token may not be present if the plugin returns a client certificate
+    return getExecCredential(execInfo).token || null;
   } else if (accessToken) {
     // Access tokens may expire so we better check the expire date
     const expiry = moment(userInfo.user['auth-provider'].config.expiry);
@@ -106,6 +303,88 @@ function getToken(userInfo) {
   return null;
 }
 
+function saveRefreshedToken(userName, oidcConfig, kubeConfigOptions) {
+  // The credentials are stored in the first file that defines the user
+  const configFile = _.find(getKubeConfigFiles(kubeConfigOptions), f => (
+    fs.existsSync(f) &&
+    _.some((yaml.safeLoad(fs.readFileSync(f)) || {}).users, u => u.name === userName)
+  ));
+  if (configFile) {
+    const fileConfig = yaml.safeLoad(fs.readFileSync(configFile));
+    const userInfo = _.find(fileConfig.users, u => u.name === userName);
+    _.assign(userInfo.user['auth-provider'].config, oidcConfig);
+    fs.writeFileSync(configFile, yaml.safeDump(fileConfig));
+  }
+}
+
+function refreshAuthToken(config, options) {
+  // Refreshes the ID token of the current user if it uses an OIDC provider and
+  // the token has expired. The new token is used by getConnectionOptions
+  const opts = options || {};
+  const userInfo = getUserInfo(config, config['current-context']);
+  const authProvider = _.get(userInfo, 'user.auth-provider');
+  if (_.get(authProvider, 'name') !== 'oidc' || getOIDCToken(authProvider.config || {})) {
+    return BbPromise.resolve();
+  }
+  const oidcConfig = authProvider.config;
+  if (_.isEmpty(oidcConfig['refresh-token']) || _.isEmpty(oidcConfig['idp-issuer-url'])) {
+    return BbPromise.reject(new Error(
+      'The access token has expired and there is no refresh token available. ' +
+      'Make sure you can access your cluster and try again'
+    ));
+  }
+  const requestOptions = { json: true };
+  const ca = getPropertyText('idp-certificate-authority', oidcConfig);
+  if (ca) {
+    requestOptions.ca = ca;
+  }
+  const issuerURL = oidcConfig['idp-issuer-url'].replace(/\/$/, '');
+  return new BbPromise((resolve, reject) => {
+    request.get(_.assign({
+      url: `${issuerURL}/.well-known/openid-configuration`,
+    }, requestOptions), (err, response) => {
+      if (err || response.statusCode !== 200 || !_.get(response, 'body.token_endpoint')) {
+        reject(new Error(
+          `Unable to discover the token endpoint of ${issuerURL}: ` +
+          `${err ? err.message : response.statusMessage}`
+        ));
+      } else {
+        resolve(response.body.token_endpoint);
+      }
+    });
+  }).then(tokenEndpoint => new BbPromise((resolve, reject) => {
+    const form = {
+      grant_type: 'refresh_token',
+      refresh_token: oidcConfig['refresh-token'],
+      client_id: oidcConfig['client-id'],
+    };
+    if (oidcConfig['client-secret']) {
+      form.client_secret = oidcConfig['client-secret'];
+    }
+    request.post(_.assign({ url: tokenEndpoint, form }, requestOptions), (err, response) => {
+      if (err || response.statusCode !== 200 || !_.get(response, 'body.id_token')) {
+        reject(new Error(
+          `Unable to refresh the access token: ${err ? err.message : response.statusMessage}`
+        ));
+      } else {
+        resolve(response.body);
+      }
+    });
+  })).then(tokens => {
+    const previousRefreshToken = oidcConfig['refresh-token'];
+    refreshedTokensCache[previousRefreshToken] = tokens.id_token;
+    const refreshedConfig = {
+      'id-token': tokens.id_token,
+      'refresh-token': tokens.refresh_token || previousRefreshToken,
+    };
+    refreshedTokensCache[refreshedConfig['refresh-token']] = tokens.id_token;
+    if (opts.save) {
+      saveRefreshedToken(userInfo.name, refreshedConfig, opts);
+    }
+    return tokens.id_token;
+  });
+}
+
 function getDefaultNamespace(config) {
   const currentContext = config['current-context'];
   return getContextInfo(config, currentContext).namespace || 'default';
@@ -125,10 +404,22 @@ function getConnectionOptions(config, modif) {
   const ca = getPropertyText('certificate-authority', clusterInfo.cluster);
   if (ca) {
     connectionOptions.ca = ca;
-  } else {
-    // No certificate-authority found
+  }
+  if (clusterInfo.cluster['insecure-skip-tls-verify']) {
     connectionOptions.insecureSkipTlsVerify = true;
   }
+  // Options for the underlying HTTP requests
+  const requestOptions = {};
+  const proxy = getProxy(clusterInfo, connectionOptions.url);
+  if (proxy) {
+    requestOptions.proxy = proxy;
+  }
+  if (clusterInfo.cluster['tls-server-name']) {
+    requestOptions.agentOptions = { servername: clusterInfo.cluster['tls-server-name'] };
+  }
+  if (!_.isEmpty(requestOptions)) {
+    connectionOptions.request = requestOptions;
+  }
   // Config authentication
   const token = getToken(userInfo);
   if (token) {
@@ -147,8 +438,13 @@ function getConnectionOptions(config, modif) {
         cert: 'client-certificate',
         key: 'client-key',
       };
+      // Exec plugins may return the certificate and key in PEM format
+      const execInfo = _.get(userInfo, 'user.exec');
+      const execCredential = execInfo ? getExecCredential(execInfo) : {};
       _.each(properties, (property, key) => {
-        connectionOptions[key] = getPropertyText(property, userInfo.user);
+        const execData = execCredential[_.camelCase(`${property}-data`)];
+        connectionOptions[key] = getPropertyText(property, userInfo.user) ||
+          (execData ? Buffer.from(execData) : null);
         if (!connectionOptions[key]) {
           console.log(
             'Unable to find required information for authenticating against the cluster'
@@ -160,6 +456,30 @@ function getConnectionOptions(config, modif) {
   return _.defaults({}, modif, connectionOptions);
 }
 
+// Returns when the credentials of the current context expire or null if they don't.
+// Only the credentials returned by exec plugins may expire while running a command
+function getCredentialsExpiry(config) {
+  const userInfo = getUserInfo(config, config['current-context']);
+  const execInfo = _.get(userInfo, 'user.exec');
+  if (!execInfo || _.get(userInfo, 'user.token')) {
+    return null;
+  }
+  const expirationTimestamp = getExecCredential(execInfo).expirationTimestamp;
+  return expirationTimestamp ? moment(expirationTimestamp) : null;
+}
+
+function getRequestOptions(connectionOptions, modif) {
+  // Options to call the cluster directly with the request library
+  const requestOptions = _.assign(
+    _.omit(connectionOptions, ['request', 'insecureSkipTlsVerify']),
+    connectionOptions.request
+  );
+  if (connectionOptions.insecureSkipTlsVerify) {
+    requestOptions.strictSSL = false;
+  }
+  return _.assign(requestOptions, modif);
+}
+
 function warnUnsupportedOptions(unsupportedOptions, definedOptions, logFunction) {
   unsupportedOptions.forEach((opt) => {
     if (!_.isUndefined(definedOptions[opt])) {
@@ -171,7 +491,12 @@ function warnUnsupportedOptions(unsupportedOptions, definedOptions, logFunction)
 module.exports = {
   warnUnsupportedOptions,
   loadKubeConfig,
+  loadInClusterConfig,
+  getKubeConfigOptions,
+  refreshAuthToken,
   getKubernetesAPIURL,
   getDefaultNamespace,
   getConnectionOptions,
+  getCredentialsExpiry,
+  getRequestOptions,
 };
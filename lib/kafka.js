@@ -0,0 +1,215 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+const BbPromise = require('bluebird');
+const moment = require('moment');
+
+// Kafka deployment installed by kubeless
+const defaultTopicsSettings = {
+  namespace: 'kubeless',
+  zookeeper: 'zookeeper.kubeless:2181',
+  image: 'bitnami/kafka:1.1.0-r0',
+  deleteOnRemove: false,
+};
+
+function getTriggerSettings(trigger) {
+  return _.isPlainObject(trigger) ? trigger : { topic: trigger };
+}
+
+// Settings of a trigger that describe its topic
+const topicSettings = ['partitions', 'replicationFactor'];
+
+// Settings of a trigger event, given either as a topic or as an object
+const triggerSettings = _.concat('topic', topicSettings);
+// The Kubeless Kafka controller chooses how the topics are consumed
+const consumerSettings = ['consumerGroup', 'startFrom'];
+
+// Returns the reason why a trigger definition is not valid or null if it is
+function checkTrigger(trigger) {
+  const settings = getTriggerSettings(trigger);
+  const unsupported = _.intersection(_.keys(settings), consumerSettings);
+  if (!_.isEmpty(unsupported)) {
+    return `${unsupported.join(', ')} can't be set since the Kubeless Kafka controller ` +
+      'doesn\'t support them';
+  }
+  const unknown = _.difference(_.keys(settings), triggerSettings);
+  if (!_.isEmpty(unknown)) {
+    return `unknown settings ${unknown.join(', ')}. Supported: ${triggerSettings.join(', ')}`;
+  }
+  if (!_.isString(settings.topic) || !settings.topic.match(/^[a-zA-Z0-9._-]{1,249}$/)) {
+    return `"${settings.topic}" is not a valid topic name`;
+  }
+  const notPositive = _.find(topicSettings, k => (
+    _.has(settings, k) && !(_.isInteger(settings[k]) && settings[k] > 0)
+  ));
+  if (notPositive) {
+    return `${notPositive} should be a positive integer`;
+  }
+  return null;
+}
+
+// Returns the settings of every topic the functions are triggered by. Triggers of the
+// same topic can't set different values for it
+function getTopics(functions) {
+  const triggers = _.flatMap(functions, f => _.map(
+    _.filter(f.events, e => _.has(e, 'trigger')),
+    e => getTriggerSettings(e.trigger)
+  ));
+  return _.map(_.uniq(_.map(triggers, 'topic')), topic => {
+    const result = { topic };
+    _.each(_.filter(triggers, { topic }), trigger => {
+      _.each(_.pick(trigger, topicSettings), (value, setting) => {
+        if (_.has(result, setting) && result[setting] !== value) {
+          throw new Error(`The triggers of the topic ${topic} set different ${setting}`);
+        }
+        result[setting] = value;
+      });
+    });
+    return result;
+  });
+}
+
+// Returns the settings to manage topics or null if topics shouldn't be managed
+function getTopicsSettings(autoCreateTopics) {
+  if (!autoCreateTopics) {
+    return null;
+  }
+  if (autoCreateTopics !== true && !_.isPlainObject(autoCreateTopics)) {
+    throw new Error('provider.autoCreateTopics should be either true or an object');
+  }
+  const unknown = _.difference(_.keys(autoCreateTopics), _.keys(defaultTopicsSettings));
+  if (!_.isEmpty(unknown)) {
+    throw new Error(`Unknown settings of provider.autoCreateTopics: ${unknown.join(', ')}`);
+  }
+  return _.defaults(
+    {},
+    _.isPlainObject(autoCreateTopics) ? autoCreateTopics : {},
+    defaultTopicsSettings
+  );
+}
+
+function quote(arg) {
+  return `'${arg.toString().replace(/'/g, '\'\\\'\'')}'`;
+}
+
+function getCreateTopicsScript(topics, settings) {
+  return _.map(topics, topic => [
+    'kafka-topics.sh',
+    '--zookeeper', quote(settings.zookeeper),
+    '--create', '--if-not-exists',
+    '--topic', quote(topic.topic),
+    '--partitions', quote(topic.partitions || 1),
+    '--replication-factor', quote(topic.replicationFactor || 1),
+  ].join(' '));
+}
+
+function getDeleteTopicsScript(topics, settings) {
+  return _.map(topics, topic => [
+    'kafka-topics.sh',
+    '--zookeeper', quote(settings.zookeeper),
+    '--delete', '--if-exists',
+    '--topic', quote(topic.topic),
+  ].join(' '));
+}
+
+function getTopicsJobDescription(commands, settings) {
+  // The scripts of kafka may not be in the PATH of the image
+  const script = _.concat(
+    'set -e',
+    'export PATH="$PATH:/opt/bitnami/kafka/bin"',
+    commands
+  ).join('\n');
+  return {
+    apiVersion: 'batch/v1',
+    kind: 'Job',
+    metadata: {
+      name: `serverless-kubeless-topics-${moment().valueOf()}`,
+      namespace: settings.namespace,
+      labels: { 'created-by': 'serverless-kubeless' },
+    },
+    spec: {
+      backoffLimit: 0,
+      template: {
+        spec: {
+          restartPolicy: 'Never',
+          containers: [{
+            name: 'kafka-topics',
+            image: settings.image,
+            command: ['sh', '-c', script],
+          }],
+        },
+      },
+    },
+  };
+}
+
+// Runs the given topic commands in a Job and waits for it to finish
+function runTopicsJob(batch, commands, settings, options) {
+  const opts = _.defaults({}, options, { interval: 2000, retries: 60 });
+  const body = getTopicsJobDescription(commands, settings);
+  const jobName = body.metadata.name;
+  const removeJob = () => new BbPromise(resolve => {
+    // The pods of the job are removed as well
+    batch.ns.jobs.delete({
+      name: jobName,
+      body: { kind: 'DeleteOptions', apiVersion: 'v1', propagationPolicy: 'Background' },
+    }, () => resolve());
+  });
+  return new BbPromise((resolve, reject) => {
+    batch.ns.jobs.post({ body }, (err) => {
+      if (err) {
+        reject(new Error(`Unable to manage the topics. Received: ${err.message}`));
+        return;
+      }
+      let retries = 0;
+      const loop = setInterval(() => {
+        batch.ns.jobs.get(jobName, (jErr, job) => {
+          retries++;
+          const status = (job && job.status) || {};
+          if (status.succeeded > 0) {
+            clearInterval(loop);
+            removeJob().then(() => resolve());
+          } else if (status.failed > 0) {
+            clearInterval(loop);
+            reject(new Error(
+              `Unable to manage the topics. Check the logs of the job ${jobName} ` +
+              `in the namespace ${settings.namespace}`
+            ));
+          } else if (retries >= opts.retries) {
+            clearInterval(loop);
+            removeJob().then(() => reject(new Error(
+              `Timed out waiting for the job ${jobName} that manages the topics`
+            )));
+          }
+        });
+      }, opts.interval);
+    });
+  });
+}
+
+module.exports = {
+  topicSettings,
+  getTriggerSettings,
+  checkTrigger,
+  getTopics,
+  getTopicsSettings,
+  getCreateTopicsScript,
+  getDeleteTopicsScript,
+  runTopicsJob,
+};
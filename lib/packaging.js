@@ -0,0 +1,154 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+const BbPromise = require('bluebird');
+const crypto = require('crypto');
+const fs = require('fs');
+const JSZip = require('jszip');
+const path = require('path');
+
+// Fixed date for the zipped files so the same files always produce the same zip
+const zipDate = new Date('2000-01-01T00:00:00Z');
+
+// Files Serverless never includes in a package
+const defaultExcludes = [
+  '.git/**',
+  '.gitignore',
+  '.DS_Store',
+  'npm-debug.log',
+  'serverless.yml',
+  'serverless.yaml',
+  'serverless.json',
+  '.serverless/**',
+  '.serverless_plugins/**',
+];
+
+function globToRegExp(pattern) {
+  const source = _.map(pattern.replace(/^\.\//, '').split(/(\*\*\/|\*\*|\*|\?)/), part => {
+    switch (part) {
+      case '**/':
+        return '(?:.*/)?';
+      case '**':
+        return '.*';
+      case '*':
+        return '[^/]*';
+      case '?':
+        return '[^/]';
+      default:
+        return _.escapeRegExp(part);
+    }
+  }).join('');
+  // A pattern matching a directory includes all its content
+  return new RegExp(`^${source.replace(/\/$/, '')}(?:/.*)?$`);
+}
+
+function walk(dir, base) {
+  return _.flatMap(fs.readdirSync(path.join(base, dir)).sort(), entry => {
+    const relativePath = dir ? `${dir}/${entry}` : entry;
+    return fs.statSync(path.join(base, relativePath)).isDirectory() ?
+      walk(relativePath, base) :
+      [relativePath];
+  });
+}
+
+// Same rules Serverless uses to package a service: every file is included except the
+// default and given exclusions, that can be overridden by the given inclusions
+function getPatterns(settings) {
+  const exclude = _.union(defaultExcludes, settings.exclude);
+  return _.concat(
+    '**',
+    _.map(exclude, pattern => (_.startsWith(pattern, '!') ? pattern.slice(1) : `!${pattern}`)),
+    settings.include || []
+  );
+}
+
+function getMatcher(patterns) {
+  const rules = _.map(patterns, pattern => ({
+    exclude: _.startsWith(pattern, '!'),
+    regexp: globToRegExp(_.trimStart(pattern, '!')),
+  }));
+  return file => {
+    const rule = _.findLast(rules, r => r.regexp.test(file));
+    return !!rule && !rule.exclude;
+  };
+}
+
+// Patterns starting with "!" exclude files and the last pattern matching a file
+// decides if it is included
+function isIncluded(file, patterns) {
+  return getMatcher(patterns)(file.split(path.sep).join('/'));
+}
+
+// Returns the files of the directory matching the patterns
+function listFiles(dir, patterns) {
+  return _.filter(walk('', dir), getMatcher(patterns));
+}
+
+// Zips created by other tools may name their files with "./" or backslashes
+function normalizeName(name) {
+  return name.replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+}
+
+function findFile(zip, relativePath) {
+  const name = normalizeName(relativePath);
+  return zip.file(relativePath) ||
+    _.find(zip.file(/.*/), file => normalizeName(file.name) === name) ||
+    null;
+}
+
+function zipContents(contents) {
+  const zip = new JSZip();
+  _.each(_.sortBy(_.keys(contents)), file => {
+    zip.file(file, contents[file], { date: zipDate, createFolders: false });
+  });
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+function zipFiles(dir, files) {
+  return zipContents(_.fromPairs(_.map(files, file => [
+    file,
+    fs.readFileSync(path.join(dir, file)),
+  ])));
+}
+
+// Zips again the files of an artifact so it matches the zip of the same files
+function repackZip(content) {
+  return JSZip.loadAsync(content).then(zip => {
+    const files = _.reject(_.values(zip.files), 'dir');
+    return BbPromise.all(_.map(files, file => file.async('nodebuffer')))
+      .then(buffers => zipContents(_.zipObject(
+        _.map(files, file => normalizeName(file.name)),
+        buffers
+      )));
+  });
+}
+
+function getChecksum(content) {
+  return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+module.exports = {
+  getPatterns,
+  isIncluded,
+  listFiles,
+  findFile,
+  zipFiles,
+  repackZip,
+  getChecksum,
+};
@@ -0,0 +1,114 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+
+const resourceKinds = ['requests', 'limits'];
+const resourceTypes = ['memory', 'cpu'];
+
+const memoryUnits = {
+  '': 1,
+  k: 1e3,
+  M: 1e6,
+  G: 1e9,
+  T: 1e12,
+  P: 1e15,
+  E: 1e18,
+  Ki: Math.pow(2, 10),
+  Mi: Math.pow(2, 20),
+  Gi: Math.pow(2, 30),
+  Ti: Math.pow(2, 40),
+  Pi: Math.pow(2, 50),
+  Ei: Math.pow(2, 60),
+};
+
+function normalize(type, quantity) {
+  const value = quantity.toString();
+  if (!value.match(/^\d+(\.\d+)?$/)) {
+    return value;
+  }
+  if (type === 'memory') {
+    // If no suffix is given we assume the unit will be `Mi`
+    return `${value}Mi`;
+  }
+  // CPU without suffix is given in cores
+  const cores = parseFloat(value);
+  return _.isInteger(cores) ? `${cores}` : `${Math.round(cores * 1000)}m`;
+}
+
+// Returns the amount of bytes or millicores of a normalized quantity or null if it's invalid
+function parse(type, quantity) {
+  if (type === 'memory') {
+    const match = quantity.match(/^(\d+(?:\.\d+)?)([kMGTPE]i?)?$/);
+    return match ? parseFloat(match[1]) * memoryUnits[match[2] || ''] : null;
+  }
+  const match = quantity.match(/^(\d+)m$|^(\d+)$/);
+  if (!match) {
+    return null;
+  }
+  return match[1] ? parseInt(match[1], 10) : parseInt(match[2], 10) * 1000;
+}
+
+function getSettings(description) {
+  const settings = _.cloneDeep(description.resources) || {};
+  if (!_.isPlainObject(settings)) {
+    throw new Error('resources should be an object with requests and limits');
+  }
+  const unknown = _.difference(_.keys(settings), resourceKinds);
+  if (!_.isEmpty(unknown)) {
+    throw new Error(`unknown resource settings ${unknown.join(', ')}. ` +
+      `Supported: ${resourceKinds.join(', ')}`);
+  }
+  _.each(settings, (quantities, kind) => {
+    const unknownTypes = _.difference(_.keys(quantities), resourceTypes);
+    if (!_.isPlainObject(quantities) || !_.isEmpty(unknownTypes)) {
+      throw new Error(`the ${kind} should be an object with ${resourceTypes.join(' and ')}`);
+    }
+  });
+  // memorySize and cpu are both requested and the limit
+  const shortcuts = _.pickBy({ memory: description.memorySize, cpu: description.cpu });
+  return _.defaultsDeep(settings, { requests: _.clone(shortcuts), limits: _.clone(shortcuts) });
+}
+
+// Returns the resources of the container of a function, where the settings of the
+// function override the ones of the provider, or null if there aren't any
+function getResources(provider, description) {
+  const settings = _.merge(getSettings(provider), getSettings(description));
+  const resources = _.mapValues(settings, quantities => _.mapValues(
+    quantities,
+    (quantity, type) => normalize(type, quantity)
+  ));
+  _.each(resources, quantities => _.each(quantities, (quantity, type) => {
+    if (_.isNull(parse(type, quantity))) {
+      throw new Error(`"${quantity}" is not a valid amount of ${type}`);
+    }
+  }));
+  _.each(resourceTypes, type => {
+    const request = _.get(resources, ['requests', type]);
+    const limit = _.get(resources, ['limits', type]);
+    if (request && limit && parse(type, request) > parse(type, limit)) {
+      throw new Error(`the ${type} request ${request} is greater than its limit ${limit}`);
+    }
+  });
+  const result = _.omitBy(resources, _.isEmpty);
+  return _.isEmpty(result) ? null : result;
+}
+
+module.exports = {
+  getResources,
+};
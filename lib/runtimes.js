@@ -0,0 +1,151 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+
+// Runtimes are named "<name><version>" (e.g. python2.7). Handlers are "<module>.<function>"
+// and "{module}" is replaced in the names of the function and dependencies files
+const defaultRuntimes = {
+  python: {
+    versions: ['2.7', '3.4', '3.6'],
+    extension: '.py',
+    deps: 'requirements.txt',
+  },
+  nodejs: {
+    versions: ['6', '6.10', '8'],
+    extension: '.js',
+    deps: 'package.json',
+  },
+  ruby: {
+    versions: ['2.4'],
+    extension: '.rb',
+    deps: 'Gemfile',
+  },
+  go: {
+    versions: ['1.10'],
+    extension: '.go',
+    deps: 'Gopkg.toml',
+  },
+  php: {
+    versions: ['7.2'],
+    extension: '.php',
+    deps: 'composer.json',
+  },
+  java: {
+    versions: ['1.8'],
+    extension: '.java',
+    deps: 'pom.xml',
+  },
+  dotnetcore: {
+    versions: ['2.0'],
+    extension: '.cs',
+    deps: '{module}.csproj',
+  },
+};
+
+const runtimeSettings = ['versions', 'extension', 'file', 'deps'];
+
+function checkRuntime(name, runtime) {
+  const prefix = `The runtime ${name} of provider.runtimes`;
+  if (!_.isPlainObject(runtime)) {
+    throw new Error(`${prefix} should be an object`);
+  }
+  const unknown = _.difference(_.keys(runtime), runtimeSettings);
+  if (!_.isEmpty(unknown)) {
+    throw new Error(`${prefix} has unknown settings ${unknown.join(', ')}`);
+  }
+  if (!_.isString(runtime.extension) && !_.isString(runtime.file)) {
+    throw new Error(`${prefix} needs an extension or a file`);
+  }
+  if (!_.isUndefined(runtime.deps) && !_.isString(runtime.deps)) {
+    throw new Error(`${prefix} should have a string as deps`);
+  }
+  if (!_.isUndefined(runtime.versions) && !_.isArray(runtime.versions)) {
+    throw new Error(`${prefix} should have a list of versions`);
+  }
+}
+
+// Runtimes listed in the "runtime-images" entry of the kubeless-config ConfigMap
+function parseRuntimeImages(runtimeImages) {
+  return _.fromPairs(_.map(JSON.parse(runtimeImages), runtime => [
+    runtime.ID,
+    _.omitBy({
+      versions: _.map(runtime.versions, v => _.toString(v.version)),
+      extension: runtime.fileNameSuffix,
+      deps: runtime.depName,
+    }, _.isEmpty),
+  ]));
+}
+
+// Returns the runtimes of the cluster, or the built-in ones if they are unknown,
+// together with the ones of the service
+function getRuntimes(customRuntimes, clusterRuntimes) {
+  _.each(customRuntimes, (runtime, name) => checkRuntime(name, runtime));
+  const knownRuntimes = clusterRuntimes ?
+    _.mapValues(clusterRuntimes, (runtime, name) => _.assign({}, defaultRuntimes[name], runtime)) :
+    defaultRuntimes;
+  return _.assign({}, knownRuntimes, _.mapValues(customRuntimes, runtime => _.assign(
+    {},
+    runtime,
+    { versions: _.map(runtime.versions, _.toString) }
+  )));
+}
+
+// Splits a runtime like "nodejs6.10" using the longest registered name
+function parseRuntime(runtime, runtimes) {
+  const name = _.maxBy(
+    _.filter(_.keys(runtimes), n => _.startsWith(runtime, n)),
+    n => n.length
+  );
+  if (!name) {
+    const supported = _.flatMap(runtimes, (settings, n) => (
+      _.isEmpty(settings.versions) ? [n] : _.map(settings.versions, v => `${n}${v}`)
+    ));
+    throw new Error(
+      `The runtime ${runtime} is not supported yet. ` +
+      `Supported runtimes: ${supported.join(', ')}`
+    );
+  }
+  const version = runtime.slice(name.length);
+  const versions = runtimes[name].versions;
+  // Runtimes registered without versions accept any of them
+  if (!_.isEmpty(versions) && !_.includes(versions, version)) {
+    throw new Error(
+      `The version "${version}" of the runtime ${name} is not supported. ` +
+      `Supported versions: ${versions.join(', ')}`
+    );
+  }
+  return { name, version, settings: runtimes[name] };
+}
+
+function getFilenames(runtime, handler, runtimes) {
+  const settings = parseRuntime(runtime, runtimes).settings;
+  const module = handler.toString().split('.')[0];
+  const file = settings.file || `{module}${settings.extension}`;
+  return {
+    handler: file.replace(/\{module\}/g, module),
+    deps: settings.deps ? settings.deps.replace(/\{module\}/g, module) : null,
+  };
+}
+
+module.exports = {
+  parseRuntimeImages,
+  getRuntimes,
+  parseRuntime,
+  getFilenames,
+};
@@ -0,0 +1,88 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+
+// Allowed values of every field of a cron expression
+const cronFields = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of the month', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+  },
+  {
+    name: 'day of the week',
+    min: 0,
+    max: 7,
+    names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'],
+  },
+];
+const cronMacros = [
+  '@yearly', '@annually', '@monthly', '@weekly', '@daily', '@midnight', '@hourly',
+];
+
+// Returns the reason why a cron expression is not valid or null if it is
+function checkCronExpression(expression) {
+  if (!_.isString(expression)) {
+    return 'it should be a string';
+  }
+  if (_.includes(cronMacros, expression.trim())) {
+    return null;
+  }
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== cronFields.length) {
+    return `expected ${cronFields.length} fields but found ${fields.length}`;
+  }
+  let reason = null;
+  _.each(fields, (field, i) => {
+    const spec = cronFields[i];
+    const toNumber = (value) => {
+      if (value.match(/^\d+$/)) {
+        return parseInt(value, 10);
+      }
+      const index = _.indexOf(spec.names, value.toUpperCase());
+      return index >= 0 ? index + spec.min : NaN;
+    };
+    _.each(field.split(','), part => {
+      const match = part.match(/^(\*|\?|\w+(?:-\w+)?)(?:\/(\d+))?$/);
+      if (!match) {
+        reason = `"${part}" is not a valid ${spec.name}`;
+      } else if (match[2] && parseInt(match[2], 10) === 0) {
+        reason = `the step of the ${spec.name} can't be 0`;
+      } else if (match[1] !== '*' && match[1] !== '?') {
+        const range = _.map(match[1].split('-'), toNumber);
+        if (_.some(range, v => !(v >= spec.min && v <= spec.max))) {
+          reason = `"${part}" is out of the ${spec.name} range (${spec.min}-${spec.max})`;
+        } else if (range.length === 2 && range[0] > range[1]) {
+          reason = `"${part}" is not a valid ${spec.name} range`;
+        }
+      }
+      return !reason;
+    });
+    return !reason;
+  });
+  return reason;
+}
+
+module.exports = {
+  checkCronExpression,
+};
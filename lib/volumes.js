@@ -0,0 +1,129 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+
+// Supported volume sources and the setting each of them requires
+const volumeSources = {
+  secret: 'secretName',
+  configMap: 'name',
+  emptyDir: null,
+  persistentVolumeClaim: 'claimName',
+};
+const mountSettings = ['name', 'mountPath', 'readOnly', 'subPath'];
+
+// The volumes of a pod are named after DNS-1123 labels
+function isValidVolumeName(name) {
+  return name.length <= 63 && /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(name);
+}
+
+// Secrets are mounted like the kubeless CLI does, in /<name> by default
+function getSecretVolume(secret) {
+  const settings = _.isString(secret) ? { name: secret } : secret;
+  if (
+    !_.isPlainObject(settings) || !_.isString(settings.name) || _.isEmpty(settings.name) ||
+    !_.isEmpty(_.difference(_.keys(settings), ['name', 'mountPath']))
+  ) {
+    throw new Error(
+      'the secrets should be names or objects with a name and a mountPath. ' +
+      `Found: ${JSON.stringify(secret)}`
+    );
+  }
+  // Secret names may contain dots, which volume names can't
+  const name = `${settings.name.replace(/\./g, '-')}-vol`;
+  if (!isValidVolumeName(name)) {
+    throw new Error(
+      `the secret ${settings.name} can't be mounted since ${name} is not a valid volume name`
+    );
+  }
+  return {
+    name,
+    mountPath: settings.mountPath || `/${settings.name}`,
+    secret: { secretName: settings.name },
+  };
+}
+
+function checkVolume(volume) {
+  if (!_.isPlainObject(volume) || !_.isString(volume.name) || _.isEmpty(volume.name)) {
+    throw new Error(`every volume needs a name. Found: ${JSON.stringify(volume)}`);
+  }
+  if (!isValidVolumeName(volume.name)) {
+    throw new Error(
+      `the volume name ${volume.name} should be a DNS-1123 label: up to 63 lowercase ` +
+      'alphanumeric characters or \'-\', starting and ending with an alphanumeric character'
+    );
+  }
+  const sources = _.difference(_.keys(volume), mountSettings);
+  if (sources.length !== 1 || !_.has(volumeSources, sources[0])) {
+    throw new Error(
+      `the volume ${volume.name} should have one of ${_.keys(volumeSources).join(', ')}`
+    );
+  }
+  const source = volume[sources[0]] || {};
+  const required = volumeSources[sources[0]];
+  if (!_.isPlainObject(source) || (required && !_.isString(source[required]))) {
+    throw new Error(
+      `the ${sources[0]} of the volume ${volume.name} should be an object` +
+      `${required ? ` with a ${required}` : ''}`
+    );
+  }
+  if (!_.isString(volume.mountPath) || !_.startsWith(volume.mountPath, '/')) {
+    throw new Error(`the volume ${volume.name} needs an absolute mountPath`);
+  }
+  if (_.has(volume, 'readOnly') && !_.isBoolean(volume.readOnly)) {
+    throw new Error(`the readOnly of the volume ${volume.name} should be a boolean`);
+  }
+  if (
+    _.has(volume, 'subPath') &&
+    (!_.isString(volume.subPath) || _.isEmpty(volume.subPath) || _.startsWith(volume.subPath, '/'))
+  ) {
+    throw new Error(`the subPath of the volume ${volume.name} should be a relative path`);
+  }
+  return _.assign({}, volume, { [sources[0]]: source });
+}
+
+// Returns the volumes of the pod of a function and their mounts in its container,
+// or null if there aren't any
+function getVolumes(description) {
+  _.each(['secrets', 'volumes'], setting => {
+    if (!_.isUndefined(description[setting]) && !_.isArray(description[setting])) {
+      throw new Error(`${setting} should be a list`);
+    }
+  });
+  const volumes = _.map(
+    _.concat(_.map(description.secrets, getSecretVolume), description.volumes || []),
+    checkVolume
+  );
+  if (_.isEmpty(volumes)) {
+    return null;
+  }
+  _.each(['name', 'mountPath'], setting => {
+    const repeated = _.findKey(_.countBy(volumes, setting), count => count > 1);
+    if (repeated) {
+      throw new Error(`the ${setting} ${repeated} is used by several volumes`);
+    }
+  });
+  return {
+    volumes: _.map(volumes, volume => _.omit(volume, _.without(mountSettings, 'name'))),
+    volumeMounts: _.map(volumes, volume => _.pick(volume, mountSettings)),
+  };
+}
+
+module.exports = {
+  getVolumes,
+};
@@ -17,7 +17,6 @@
 'use strict';
 
 const _ = require('lodash');
-const Api = require('kubernetes-client');
 const BbPromise = require('bluebird');
 const helpers = require('../lib/helpers');
 const moment = require('moment');
@@ -39,6 +38,12 @@ class KubelessLogs {
             usage: 'Number of lines to print',
             shortcut: 'n',
           },
+          context: {
+            usage: 'Kubernetes context to use',
+          },
+          kubeconfig: {
+            usage: 'Path to the Kubernetes configuration file',
+          },
         },
       },
     };
@@ -125,11 +130,10 @@ class KubelessLogs {
       filter: this.options.filter,
       silent: false,
     });
-    const config = helpers.loadKubeConfig();
-    const namespace = this.serverless.service.functions[this.options.function].namespace ||
-      this.serverless.service.provider.namespace ||
-      helpers.getDefaultNamespace(config);
-    const core = new Api.Core(helpers.getConnectionOptions(config, { namespace }));
+    const namespace = this.provider.getNamespace(
+      this.serverless.service.functions[this.options.function]
+    ) || this.provider.getDefaultNamespace();
+    const core = this.provider.getCore(namespace);
     return new BbPromise((resolve, reject) => {
       core.ns.pods.get((err, podsInfo) => {
         if (err) throw new this.serverless.classes.Error(err);
@@ -147,11 +151,11 @@ class KubelessLogs {
         } else {
           _.each(functionPods, functionPod => {
             if (this.options.tail) {
-              const APIRootUrl = helpers.getKubernetesAPIURL(helpers.loadKubeConfig());
+              const APIRootUrl = this.provider.getKubernetesAPIURL();
               const url = `${APIRootUrl}/api/v1/namespaces/${namespace}/pods/` +
                 `${functionPod.metadata.name}/log?follow=true`;
-              const connectionOptions = Object.assign(
-                helpers.getConnectionOptions(helpers.loadKubeConfig()),
+              const connectionOptions = helpers.getRequestOptions(
+                this.provider.getConnectionOptions(namespace),
                 { url }
               );
               request.get(
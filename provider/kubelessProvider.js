@@ -16,19 +16,330 @@
 
 'use strict';
 
+const _ = require('lodash');
+const Api = require('kubernetes-client');
+const BbPromise = require('bluebird');
+const helpers = require('../lib/helpers');
+const moment = require('moment');
+const runtimes = require('../lib/runtimes');
+
 const providerName = 'kubeless';
+// API versions that may serve the Function resource, in order of preference:
+// kubeless.io/v1beta1 is a CustomResourceDefinition, k8s.io/v1 the legacy ThirdPartyResource
+const functionsAPIVersions = ['kubeless.io/v1beta1', 'k8s.io/v1'];
+const legacyFunctionsAPIVersion = 'k8s.io/v1';
+
+// The clients don't pass the request options on to their requests so they are set afterwards
+function createClient(ClientAPI, connectionOptions) {
+  const client = new ClientAPI(connectionOptions);
+  _.assign(client.http.requestOptions, connectionOptions.request);
+  return client;
+}
 
 class KubelessProvider {
   static getProviderName() {
     return providerName;
   }
 
-  constructor(serverless) {
+  constructor(serverless, options) {
     this.serverless = serverless;
+    this.options = options || {};
     this.provider = this;
     this.serverless.setProvider(providerName, this);
+    // Configuration and clients of every cluster, indexed by context ('' for the default one)
+    this.targets = {};
+    // Cluster of provider.clusters the commands are currently acting on
+    this.cluster = null;
+
+    // Expired credentials should be refreshed before any command reaches the cluster
+    const refreshHook = () => BbPromise.bind(this).then(this.refreshCredentials);
+    // Commands managing functions also need to know which resource the cluster serves.
+    // When several clusters are configured this is done for each of them in forEachCluster
+    const functionsHook = () => BbPromise.bind(this).then(() => (
+      _.isEmpty(this.getClusters()) ? this.prepareCluster() : null
+    ));
+    this.hooks = {
+      'before:deploy:deploy': functionsHook,
+      'before:deploy:function:deploy': functionsHook,
+      'before:info:info': functionsHook,
+      'before:kubeless:doctor:doctor': refreshHook,
+      'before:invoke:invoke': refreshHook,
+      'before:logs:logs': refreshHook,
+      'before:remove:remove': functionsHook,
+    };
+  }
+
+  isKubelessService() {
+    return this.serverless.service.provider.name === providerName;
+  }
+
+  getClusters() {
+    const clusters = this.serverless.service.provider.clusters;
+    if (_.isEmpty(clusters)) {
+      return [];
+    }
+    if (!_.isArray(clusters)) {
+      throw new this.serverless.classes.Error('provider.clusters should be a list');
+    }
+    _.each(clusters, cluster => {
+      if (!_.isPlainObject(cluster) || !_.isString(cluster.context)) {
+        throw new this.serverless.classes.Error(
+          `Every entry of provider.clusters needs a context. Found: ${JSON.stringify(cluster)}`
+        );
+      }
+    });
+    // A context given in the command line limits the command to that cluster
+    return this.options.context ?
+      _.filter(clusters, { context: this.options.context }) :
+      clusters;
+  }
+
+  forEachCluster(action) {
+    const clusters = this.getClusters();
+    if (_.isEmpty(clusters)) {
+      return BbPromise.resolve(action());
+    }
+    return BbPromise.mapSeries(clusters, cluster => {
+      this.cluster = cluster;
+      this.serverless.cli.log(`Using cluster ${this.getClusterName(cluster)}...`);
+      return BbPromise.bind(this)
+        .then(this.prepareCluster)
+        .then(action)
+        .then(() => ({ cluster, success: true }))
+        // Some commands reject with plain strings instead of errors
+        .catch(err => ({ cluster, success: false, message: (err && err.message) || String(err) }));
+    }).then(results => {
+      this.cluster = null;
+      this.serverless.cli.log('Summary by cluster:');
+      _.each(results, result => {
+        const status = result.success ? 'succeeded' : `failed: ${result.message}`;
+        this.serverless.cli.log(`  ${this.getClusterName(result.cluster)} ${status}`);
+      });
+      const failed = _.filter(results, { success: false });
+      if (!_.isEmpty(failed)) {
+        throw new this.serverless.classes.Error(
+          `The command failed in ${failed.length} of ${results.length} clusters`
+        );
+      }
+      return results;
+    });
+  }
+
+  getClusterName(cluster) {
+    return cluster.namespace ?
+      `${cluster.context} (namespace ${cluster.namespace})` :
+      cluster.context;
+  }
+
+  getNamespace(description) {
+    return (description && description.namespace) ||
+      (this.cluster && this.cluster.namespace) ||
+      this.serverless.service.provider.namespace;
   }
 
+  getTarget() {
+    const key = this.cluster ? this.cluster.context : '';
+    if (!this.targets[key]) {
+      this.targets[key] = { clients: {} };
+    }
+    return this.targets[key];
+  }
+
+  getKubeConfigOptions() {
+    const kubeConfigOptions = helpers.getKubeConfigOptions(this.serverless, this.options);
+    if (this.cluster) {
+      kubeConfigOptions.context = this.cluster.context;
+    }
+    return kubeConfigOptions;
+  }
+
+  prepareCluster() {
+    return BbPromise.bind(this)
+      .then(this.refreshCredentials)
+      .then(() => this.isKubelessService() && BbPromise.all([
+        this.detectFunctionsAPI(),
+        this.detectRuntimes(),
+      ]));
+  }
+
+  refreshCredentials() {
+    if (!this.isKubelessService()) {
+      return BbPromise.resolve();
+    }
+    return helpers.refreshAuthToken(
+      this.getKubeConfig(),
+      _.assign(
+        { save: !!this.serverless.service.provider.saveRefreshedToken },
+        this.getKubeConfigOptions()
+      )
+    );
+  }
+
+  detectFunctionsAPI() {
+    const target = this.getTarget();
+    if (target.functionsAPIVersion) {
+      return BbPromise.resolve(target.functionsAPIVersion);
+    }
+    const core = this.getCore();
+    // The discovery information of every group lists the resources it serves
+    return BbPromise.mapSeries(functionsAPIVersions, apiVersion => new BbPromise(resolve => {
+      core.get({ path: `/apis/${apiVersion}` }, (err, res) => {
+        resolve(
+          !err && res.statusCode === 200 &&
+          _.some(_.get(res, 'body.resources'), { name: 'functions' })
+        );
+      });
+    })).then(served => {
+      const apiVersion = functionsAPIVersions[_.indexOf(served, true)];
+      if (apiVersion) {
+        target.functionsAPIVersion = apiVersion;
+      }
+      return apiVersion || null;
+    });
+  }
+
+  getFunctionsAPIVersion() {
+    // Clusters that have not been inspected are assumed to use the legacy resource
+    return this.getTarget().functionsAPIVersion || legacyFunctionsAPIVersion;
+  }
+
+  usesCustomResources() {
+    return this.getFunctionsAPIVersion() !== legacyFunctionsAPIVersion;
+  }
+
+  // Reads the runtimes the kubeless controller supports. Resolves null if they can't be read
+  detectRuntimes() {
+    const target = this.getTarget();
+    if (!_.isUndefined(target.runtimes)) {
+      return BbPromise.resolve(target.runtimes);
+    }
+    return new BbPromise(resolve => {
+      this.getCore('kubeless').ns.configmaps.get('kubeless-config', (err, configMap) => {
+        let clusterRuntimes = null;
+        try {
+          clusterRuntimes = err ? null : runtimes.parseRuntimeImages(
+            configMap.data['runtime-images']
+          );
+        } catch (e) {
+          // Older versions of kubeless don't list their runtimes
+        }
+        target.runtimes = clusterRuntimes;
+        resolve(clusterRuntimes);
+      });
+    });
+  }
+
+  getRuntimes() {
+    return runtimes.getRuntimes(
+      this.serverless.service.provider.runtimes,
+      this.getTarget().runtimes
+    );
+  }
+
+  getKubeConfig() {
+    // The configuration is loaded only once per execution
+    const target = this.getTarget();
+    if (!target.kubeConfig) {
+      target.kubeConfig = helpers.loadKubeConfig(this.getKubeConfigOptions());
+    }
+    return target.kubeConfig;
+  }
+
+  getKubernetesAPIURL() {
+    return helpers.getKubernetesAPIURL(this.getKubeConfig());
+  }
+
+  getDefaultNamespace() {
+    return helpers.getDefaultNamespace(this.getKubeConfig());
+  }
+
+  getClients(namespace) {
+    const clients = this.getTarget().clients;
+    const key = namespace || '';
+    // Clients are created again once their credentials expire
+    const expiry = _.get(clients, [key, 'expiry']);
+    if (!clients[key] || (expiry && expiry <= moment())) {
+      const connectionOptions = helpers.getConnectionOptions(
+        this.getKubeConfig(),
+        { namespace }
+      );
+      clients[key] = {
+        connectionOptions,
+        expiry: helpers.getCredentialsExpiry(this.getKubeConfig()),
+        core: createClient(Api.Core, connectionOptions),
+        extensions: createClient(Api.Extensions, connectionOptions),
+        functions: {},
+        batch: {},
+        autoscaling: {},
+      };
+    }
+    return clients[key];
+  }
+
+  getConnectionOptions(namespace) {
+    return this.getClients(namespace).connectionOptions;
+  }
+
+  getCore(namespace) {
+    return this.getClients(namespace).core;
+  }
+
+  getExtensions(namespace) {
+    return this.getClients(namespace).extensions;
+  }
+
+  getBatch(namespace, version) {
+    const clients = this.getClients(namespace);
+    if (!clients.batch[version]) {
+      clients.batch[version] = createClient(
+        Api.Batch,
+        _.assign({}, clients.connectionOptions, { version })
+      );
+    }
+    return clients.batch[version];
+  }
+
+  // The client doesn't include the autoscaling group so it is added as a custom one
+  getAutoscaling(namespace, version) {
+    const clients = this.getClients(namespace);
+    if (!clients.autoscaling[version]) {
+      clients.autoscaling[version] = createClient(Api.CustomResourceDefinitions, _.assign(
+        {},
+        clients.connectionOptions,
+        { group: 'autoscaling', version }
+      )).addResource('horizontalpodautoscalers');
+    }
+    return clients.autoscaling[version];
+  }
+
+  getFunctions(namespace) {
+    const clients = this.getClients(namespace);
+    const apiVersion = this.getFunctionsAPIVersion();
+    if (!clients.functions[apiVersion]) {
+      const groupVersion = apiVersion.split('/');
+      const FunctionsAPI = apiVersion === legacyFunctionsAPIVersion ?
+        Api.ThirdPartyResources :
+        Api.CustomResourceDefinitions;
+      clients.functions[apiVersion] = createClient(FunctionsAPI, _.assign(
+        {},
+        clients.connectionOptions,
+        { group: groupVersion[0], version: groupVersion[1] }
+      )).addResource('functions');
+    }
+    return clients.functions[apiVersion];
+  }
+
+  getKafkaTriggers(namespace) {
+    const clients = this.getClients(namespace);
+    if (!clients.kafkaTriggers) {
+      clients.kafkaTriggers = createClient(Api.CustomResourceDefinitions, _.assign(
+        {},
+        clients.connectionOptions,
+        { group: 'kubeless.io', version: 'v1beta1' }
+      )).addResource('kafkatriggers');
+    }
+    return clients.kafkaTriggers;
+  }
 }
 
 module.exports = KubelessProvider;
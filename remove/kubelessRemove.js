@@ -17,9 +17,10 @@
 'use strict';
 
 const _ = require('lodash');
-const Api = require('kubernetes-client');
+const autoscaling = require('../lib/autoscaling');
 const BbPromise = require('bluebird');
 const helpers = require('../lib/helpers');
+const kafka = require('../lib/kafka');
 
 class KubelessRemove {
   constructor(serverless, options) {
@@ -30,7 +31,9 @@ class KubelessRemove {
     this.hooks = {
       'remove:remove': () => BbPromise.bind(this)
         .then(this.validate)
-        .then(this.removeFunction),
+        .then(() => this.provider.forEachCluster(() => (
+          this.removeFunction().then(() => this.removeTopicsIfNecessary())
+        ))),
     };
   }
 
@@ -45,9 +48,7 @@ class KubelessRemove {
   }
 
   removeIngressRuleIfNecessary(funcName, namespace) {
-    const extensions = new Api.Extensions(helpers.getConnectionOptions(helpers.loadKubeConfig(), {
-      namespace,
-    }));
+    const extensions = this.provider.getExtensions(namespace);
     return new BbPromise((resolve, reject) => {
       extensions.ns.ingress.get((err, ingressInfo) => {
         const ingressRule = _.find(ingressInfo.items, item => (
@@ -78,19 +79,120 @@ class KubelessRemove {
     });
   }
 
+  removeKafkaTriggersIfNecessary(funcName, namespace) {
+    // Only clusters with CustomResourceDefinitions may have triggers
+    if (!this.provider.usesCustomResources()) {
+      return BbPromise.resolve();
+    }
+    const kafkaTriggers = this.provider.getKafkaTriggers(namespace);
+    return new BbPromise((resolve, reject) => {
+      kafkaTriggers.ns.kafkatriggers.get((err, triggersInfo) => {
+        if (err) {
+          // The cluster may not support Kafka triggers
+          resolve();
+          return;
+        }
+        const triggers = _.filter(triggersInfo.items, item => (
+          item.metadata.labels && item.metadata.labels.function === funcName
+        ));
+        BbPromise.all(_.map(triggers, trigger => new BbPromise((res, rej) => {
+          kafkaTriggers.ns.kafkatriggers.delete(trigger.metadata.name, (trErr) => {
+            if (trErr && trErr.code !== 404) {
+              rej(
+                `Unable to remove the trigger ${trigger.metadata.name}. Received:\n` +
+                `  Code: ${trErr.code}\n` +
+                `  Message: ${trErr.message}`
+              );
+            } else {
+              if (this.options.verbose) {
+                this.serverless.cli.log(`Removed trigger ${trigger.metadata.name}`);
+              }
+              res();
+            }
+          });
+        }))).then(resolve, reject);
+      });
+    });
+  }
+
+  removeScheduleIfNecessary(funcName, namespace) {
+    // Depending on the Kubernetes version CronJobs are served by batch/v1beta1 or batch/v2alpha1
+    const removeCronJobs = (versions) => new BbPromise((resolve, reject) => {
+      if (_.isEmpty(versions)) {
+        if (this.options.verbose) {
+          this.serverless.cli.log(`Skipping schedule clean up for ${funcName}`);
+        }
+        resolve();
+        return;
+      }
+      const batch = this.provider.getBatch(namespace, versions[0]);
+      batch.ns.cronjobs.get((err, cronJobsInfo) => {
+        if (err) {
+          removeCronJobs(_.tail(versions)).then(resolve, reject);
+          return;
+        }
+        // The Kubeless controller names the CronJob of a function after it
+        const cronJobs = _.filter(cronJobsInfo.items, item => (
+          item.metadata.name === `trigger-${funcName}`
+        ));
+        BbPromise.all(_.map(cronJobs, cronJob => new BbPromise((res, rej) => {
+          batch.ns.cronjobs.delete(cronJob.metadata.name, (cjErr) => {
+            if (cjErr && cjErr.code !== 404) {
+              rej(
+                `Unable to remove the schedule ${cronJob.metadata.name}. Received:\n` +
+                `  Code: ${cjErr.code}\n` +
+                `  Message: ${cjErr.message}`
+              );
+            } else {
+              if (this.options.verbose) {
+                this.serverless.cli.log(`Removed schedule ${cronJob.metadata.name}`);
+              }
+              res();
+            }
+          });
+        }))).then(resolve, reject);
+      });
+    });
+    return removeCronJobs(['v1beta1', 'v2alpha1']);
+  }
+
+  removeTopicsIfNecessary() {
+    const settings = kafka.getTopicsSettings(this.serverless.service.provider.autoCreateTopics);
+    const topics = kafka.getTopics(this.serverless.service.functions);
+    if (!settings || !settings.deleteOnRemove || _.isEmpty(topics)) {
+      return BbPromise.resolve();
+    }
+    this.serverless.cli.log(`Removing topics ${_.map(topics, 'topic').join(', ')}...`);
+    return kafka.runTopicsJob(
+      this.provider.getBatch(settings.namespace, 'v1'),
+      kafka.getDeleteTopicsScript(topics, settings),
+      settings
+    );
+  }
+
   removeFunction() {
     const errors = [];
     let counter = 0;
     return new BbPromise((resolve, reject) => {
+      // Every function is counted once it is processed, whether it could be removed or not
+      const done = () => {
+        counter++;
+        if (counter === _.keys(this.serverless.service.functions).length) {
+          if (_.isEmpty(errors)) {
+            resolve();
+          } else {
+            reject(
+              'Found errors while removing the given functions:\n' +
+              `${errors.join('\n')}`
+            );
+          }
+        }
+      };
       _.each(this.serverless.service.functions, (desc, f) => {
         this.serverless.cli.log(`Removing function: ${f}...`);
-        const connectionOptions = helpers.getConnectionOptions(helpers.loadKubeConfig(), {
-          namespace: desc.namespace || this.serverless.service.provider.namespace,
-        });
-        const thirdPartyResources = new Api.ThirdPartyResources(connectionOptions);
-        thirdPartyResources.addResource('functions');
+        const functionsAPI = this.provider.getFunctions(this.provider.getNamespace(desc));
         // Delete function
-        thirdPartyResources.ns.functions.delete(f, (err) => {
+        functionsAPI.ns.functions.delete(f, (err) => {
           if (err) {
             if (err.code === 404) {
               this.serverless.cli.log(
@@ -104,24 +206,36 @@ class KubelessRemove {
                 `  Message: ${err.message}`
               );
             }
+            done();
           } else {
-            this.removeIngressRuleIfNecessary(f, connectionOptions.namespace)
+            this.removeIngressRuleIfNecessary(f, functionsAPI.namespaces.namespace)
             .catch((ingErr) => {
               errors.push(ingErr);
             })
+            .then(() => this.removeKafkaTriggersIfNecessary(f, functionsAPI.namespaces.namespace))
+            .catch((trErr) => {
+              errors.push(trErr);
+            })
+            .then(() => (
+              _.some(desc.events, e => _.has(e, 'schedule')) ?
+                this.removeScheduleIfNecessary(f, functionsAPI.namespaces.namespace) :
+                null
+            ))
+            .catch((cjErr) => {
+              errors.push(cjErr);
+            })
+            // The function may have autoscaled in a previous deployment
+            .then(() => autoscaling.removeAutoscaler(
+              this.provider.getAutoscaling(functionsAPI.namespaces.namespace, 'v1'),
+              f,
+              this.options.verbose && (m => this.serverless.cli.log(m))
+            ))
+            .catch((hpaErr) => {
+              errors.push(hpaErr);
+            })
             .then(() => {
-              counter++;
-              if (counter === _.keys(this.serverless.service.functions).length) {
-                if (_.isEmpty(errors)) {
-                  resolve();
-                } else {
-                  reject(
-                    'Found errors while removing the given functions:\n' +
-                    `${errors.join('\n')}`
-                  );
-                }
-              }
               this.serverless.cli.log(`Function ${f} succesfully deleted`);
+              done();
             });
           }
         });
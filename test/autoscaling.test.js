@@ -0,0 +1,132 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const autoscaling = require('../lib/autoscaling');
+const chaiAsPromised = require('chai-as-promised');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+require('chai').use(chaiAsPromised);
+
+describe('Autoscaling', () => {
+  describe('#getReplicas', () => {
+    it('should prefer the replicas of the function to the ones of the provider', () => {
+      expect(autoscaling.getReplicas({ replicas: 2 }, { replicas: 0 })).to.be.eql(0);
+      expect(autoscaling.getReplicas({ replicas: 2 }, {})).to.be.eql(2);
+      expect(autoscaling.getReplicas({}, {})).to.be.eql(null);
+    });
+    it('should leave the replicas to the autoscaler', () => {
+      expect(autoscaling.getReplicas({ replicas: 2 }, { autoscaling: { maxReplicas: 3 } }))
+        .to.be.eql(null);
+    });
+  });
+  describe('#isValidReplicas', () => {
+    it('should only accept non negative integers', () => {
+      expect(autoscaling.isValidReplicas(0)).to.be.eql(true);
+      expect(autoscaling.isValidReplicas(-1)).to.be.eql(false);
+      expect(autoscaling.isValidReplicas('1')).to.be.eql(false);
+    });
+  });
+  describe('#checkAutoscaling', () => {
+    it('should accept valid settings', () => {
+      expect(autoscaling.checkAutoscaling({ maxReplicas: 3 })).to.be.eql(null);
+      expect(autoscaling.checkAutoscaling({
+        minReplicas: 3,
+        maxReplicas: 3,
+        targetCPU: 50,
+        metric: { name: 'http_requests', target: '1k' },
+      })).to.be.eql(null);
+    });
+    it('should return the reason why the settings are not valid', () => {
+      expect(autoscaling.checkAutoscaling([])).to.be.eql('it should be an object');
+      expect(autoscaling.checkAutoscaling({ maxReplicas: 3, cpu: 50 })).to.be.eql(
+        'unknown settings cpu. Supported: minReplicas, maxReplicas, targetCPU, metric'
+      );
+      expect(autoscaling.checkAutoscaling({ maxReplicas: 3, minReplicas: 0 })).to.be.eql(
+        'minReplicas should be a positive integer'
+      );
+      expect(autoscaling.checkAutoscaling({ maxReplicas: 2, minReplicas: 3 })).to.be.eql(
+        'minReplicas can\'t be greater than maxReplicas'
+      );
+      expect(autoscaling.checkAutoscaling({ maxReplicas: 2, metric: { name: 'qps' } }))
+        .to.be.eql(
+          'metric should be an object with the name and the target value of a custom metric'
+        );
+    });
+  });
+  describe('#getAutoscalerDescription', () => {
+    it('should describe a v1 autoscaler for the CPU', () => {
+      expect(autoscaling.getAutoscalerVersion({ maxReplicas: 3 })).to.be.eql('v1');
+      expect(autoscaling.getAutoscalerDescription(
+        'myFunction',
+        { maxReplicas: 3, targetCPU: 70 },
+        'default'
+      )).to.be.eql({
+        apiVersion: 'autoscaling/v1',
+        kind: 'HorizontalPodAutoscaler',
+        metadata: { name: 'myFunction', namespace: 'default', labels: { function: 'myFunction' } },
+        spec: {
+          scaleTargetRef: {
+            apiVersion: 'extensions/v1beta1',
+            kind: 'Deployment',
+            name: 'myFunction',
+          },
+          minReplicas: 1,
+          maxReplicas: 3,
+          targetCPUUtilizationPercentage: 70,
+        },
+      });
+    });
+    it('should describe a v2beta1 autoscaler for a custom metric', () => {
+      const settings = { minReplicas: 2, maxReplicas: 3, metric: { name: 'qps', target: 10 } };
+      expect(autoscaling.getAutoscalerVersion(settings)).to.be.eql('v2beta1');
+      const description = autoscaling.getAutoscalerDescription('myFunction', settings, 'default');
+      expect(description.apiVersion).to.be.eql('autoscaling/v2beta1');
+      expect(description.spec.minReplicas).to.be.eql(2);
+      expect(description.spec.metrics).to.be.eql([{
+        type: 'Pods',
+        pods: { metricName: 'qps', targetAverageValue: '10' },
+      }]);
+    });
+  });
+  describe('#removeAutoscaler', () => {
+    const withResponse = err => ({ ns: { horizontalpodautoscalers: {
+      delete: sinon.stub().callsFake((name, ff) => ff(err, err ? null : { statusCode: 200 })),
+    } } });
+    it('should remove the autoscaler of a function', () => {
+      const client = withResponse(null);
+      const log = sinon.stub();
+      return autoscaling.removeAutoscaler(client, 'myFunction', log).then(() => {
+        expect(client.ns.horizontalpodautoscalers.delete.firstCall.args[0]).to.be.eql('myFunction');
+        expect(log.firstCall.args).to.be.eql(['Removed autoscaler myFunction']);
+      });
+    });
+    it('should ignore functions without an autoscaler', () => {
+      const log = sinon.stub();
+      return autoscaling.removeAutoscaler(withResponse({ code: 404 }), 'myFunction', log)
+        .then(() => {
+          expect(log.called).to.be.eql(false);
+        });
+    });
+    it('should fail if the autoscaler can\'t be removed', () => expect(
+      autoscaling.removeAutoscaler(withResponse({ code: 403, message: 'Forbidden' }), 'myFunction')
+    ).to.be.rejectedWith(
+      'Unable to remove the autoscaler of myFunction. Received:\n  Code: 403\n  Message: Forbidden'
+    ));
+  });
+});
@@ -0,0 +1,90 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const expect = require('chai').expect;
+const environment = require('../lib/environment');
+
+describe('Environment', () => {
+  describe('#getEnvironment', () => {
+    it('should return null if there are no variables', () => {
+      expect(environment.getEnvironment({}, {})).to.be.eql(null);
+    });
+    it('should override the variables of the provider with the ones of the function', () => {
+      expect(environment.getEnvironment(
+        { environment: { STAGE: 'dev', DEBUG: false } },
+        { environment: { DEBUG: true, RETRIES: 3 } }
+      )).to.be.eql({
+        env: [
+          { name: 'STAGE', value: 'dev' },
+          { name: 'DEBUG', value: 'true' },
+          { name: 'RETRIES', value: '3' },
+        ],
+      });
+    });
+    it('should read variables from secrets and config maps', () => {
+      expect(environment.getEnvironment({}, { environment: {
+        PASSWORD: { secretKeyRef: { name: 'db', key: 'password' } },
+        HOST: { configMapKeyRef: { name: 'db-config', key: 'host', optional: true } },
+      } })).to.be.eql({
+        env: [
+          { name: 'PASSWORD', valueFrom: { secretKeyRef: { name: 'db', key: 'password' } } },
+          {
+            name: 'HOST',
+            valueFrom: { configMapKeyRef: { name: 'db-config', key: 'host', optional: true } },
+          },
+        ],
+      });
+    });
+    it('should read whole secrets and config maps', () => {
+      expect(environment.getEnvironment(
+        { envFrom: [{ configMapRef: { name: 'common' } }] },
+        { envFrom: [
+          { secretRef: { name: 'db' }, prefix: 'DB_' },
+          { configMapRef: { name: 'common' } },
+        ] }
+      )).to.be.eql({
+        envFrom: [
+          { configMapRef: { name: 'common' } },
+          { secretRef: { name: 'db' }, prefix: 'DB_' },
+        ],
+      });
+    });
+    it('should throw an error if a variable is not valid', () => {
+      expect(() => environment.getEnvironment({}, { environment: {
+        PASSWORD: { secretKeyRef: { name: 'db' } },
+      } })).to.throw(
+        'the variable PASSWORD should be a value or an object with a secretKeyRef ' +
+        'or a configMapKeyRef with the name and the key to read'
+      );
+      expect(() => environment.getEnvironment({}, { environment: {
+        PASSWORD: { fieldRef: { fieldPath: 'metadata.name' } },
+      } })).to.throw('the variable PASSWORD should be a value');
+      expect(() => environment.getEnvironment({ environment: ['VAR=1'] }, {})).to.throw(
+        'environment should be an object'
+      );
+    });
+    it('should throw an error if a source is not valid', () => {
+      expect(() => environment.getEnvironment({}, { envFrom: { secretRef: { name: 'db' } } }))
+        .to.throw('envFrom should be a list');
+      expect(() => environment.getEnvironment({}, { envFrom: [{ secret: 'db' }] })).to.throw(
+        'the entries of envFrom should have a secretRef or a configMapRef with a name. ' +
+        'Found: {"secret":"db"}'
+      );
+    });
+  });
+});
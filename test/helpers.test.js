@@ -17,8 +17,10 @@ limitations under the License.
 'use strict';
 
 const _ = require('lodash');
+const chaiAsPromised = require('chai-as-promised');
 const expect = require('chai').expect;
 const fs = require('fs');
+const http = require('http');
 const helpers = require('../lib/helpers');
 const loadKubeConfig = require('./lib/load-kube-config');
 const moment = require('moment');
@@ -27,6 +29,15 @@ const path = require('path');
 const rm = require('./lib/rm');
 const yaml = require('js-yaml');
 
+require('chai').use(chaiAsPromised);
+
+function jwt(payload) {
+  const encode = (o) => _.trimEnd(Buffer.from(JSON.stringify(o)).toString('base64'), '=')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+  return `${encode({ alg: 'RS256' })}.${encode(payload)}.signature`;
+}
+
 describe('Helper functions', () => {
   describe('#loadKubeConfig', () => {
     const configSample = loadKubeConfig();
@@ -46,6 +57,42 @@ describe('Helper functions', () => {
       fs.writeFileSync(path.join(cwd, '.kube/config'), yaml.safeDump(configSample));
       expect(helpers.loadKubeConfig()).to.be.eql(configSample);
     });
+    it('should use the given kubeconfig instead of the default one', () => {
+      process.env.HOME = cwd;
+      process.env.KUBECONFIG = path.join(cwd, 'not-found');
+      fs.writeFileSync(path.join(cwd, 'config'), yaml.safeDump(configSample));
+      expect(helpers.loadKubeConfig({ kubeconfig: path.join(cwd, 'config') })).to.be.eql(
+        configSample
+      );
+    });
+    it('should override the current context with the given one', () => {
+      process.env.KUBECONFIG = path.join(cwd, 'config');
+      const configWithContexts = _.assign({}, configSample, {
+        contexts: configSample.contexts.concat([{
+          context: { cluster: 'cluster-name', user: 'cluster-user', namespace: 'staging' },
+          name: 'staging',
+        }]),
+      });
+      fs.writeFileSync(path.join(cwd, 'config'), yaml.safeDump(configWithContexts));
+      const config = helpers.loadKubeConfig({ context: 'staging' });
+      expect(config['current-context']).to.be.eql('staging');
+      expect(helpers.getDefaultNamespace(config)).to.be.eql('staging');
+    });
+    it('should throw an error if the given context does not exist', () => {
+      process.env.KUBECONFIG = path.join(cwd, 'config');
+      fs.writeFileSync(path.join(cwd, 'config'), yaml.safeDump(configSample));
+      expect(() => helpers.loadKubeConfig({ context: 'not-found' })).to.throw(
+        'Unable to find configuration of context not-found'
+      );
+    });
+    it('should throw an error if there is no configuration available', () => {
+      process.env.HOME = cwd;
+      delete process.env.KUBECONFIG;
+      delete process.env.KUBERNETES_SERVICE_HOST;
+      expect(() => helpers.loadKubeConfig()).to.throw(
+        'Unable to locate the configuration file for your cluster'
+      );
+    });
     it('should find kubernetes config specified at KUBECONFIG', () => {
       process.env.KUBECONFIG = path.join(cwd, 'config');
       fs.writeFileSync(path.join(cwd, 'config'), yaml.safeDump(configSample));
@@ -71,6 +118,219 @@ describe('Helper functions', () => {
         configSample
       ));
     });
+    it('should merge clusters, contexts and users from every file in KUBECONFIG', () => {
+      process.env.KUBECONFIG = [
+        path.join(cwd, 'config-1'),
+        path.join(cwd, 'not-found'),
+        path.join(cwd, 'config-2'),
+      ].join(':');
+      const config2 = {
+        'current-context': 'cluster-id-2',
+        clusters: [
+          { cluster: { server: 'http://4.3.2.1:4433' }, name: 'cluster-name' },
+          { cluster: { server: 'http://4.3.2.1:4433' }, name: 'cluster-name-2' },
+        ],
+        contexts: [{
+          context: { cluster: 'cluster-name-2', user: 'cluster-user-2' },
+          name: 'cluster-id-2',
+        }],
+        users: [{ name: 'cluster-user-2', user: { token: 'token1234' } }],
+      };
+      fs.writeFileSync(
+        path.join(cwd, 'config-1'),
+        yaml.safeDump(_.assign({}, configSample, { 'current-context': '' }))
+      );
+      fs.writeFileSync(path.join(cwd, 'config-2'), yaml.safeDump(config2));
+      const config = helpers.loadKubeConfig();
+      expect(config['current-context']).to.be.eql('cluster-id-2');
+      // The first definition of a cluster wins
+      expect(config.clusters).to.be.eql(
+        configSample.clusters.concat([config2.clusters[1]])
+      );
+      expect(config.contexts).to.be.eql(configSample.contexts.concat(config2.contexts));
+      expect(config.users).to.be.eql(configSample.users.concat(config2.users));
+      expect(helpers.getKubernetesAPIURL(config)).to.be.eql('http://4.3.2.1:4433');
+    });
+  });
+  describe('#getKubeConfigOptions', () => {
+    const serverless = {
+      config: { servicePath: '/service' },
+      service: { provider: { context: 'staging', kubeconfig: 'kube/config' } },
+    };
+    it('should return the settings of the provider', () => {
+      expect(helpers.getKubeConfigOptions(serverless)).to.be.eql({
+        context: 'staging',
+        kubeconfig: '/service/kube/config',
+      });
+    });
+    it('should return the insecureSkipTlsVerify setting only if it is enabled', () => {
+      const serverlessInsecure = _.cloneDeep(serverless);
+      serverlessInsecure.service.provider.insecureSkipTlsVerify = true;
+      expect(helpers.getKubeConfigOptions(serverlessInsecure).insecureSkipTlsVerify).to.be.eql(
+        true
+      );
+      serverlessInsecure.service.provider.insecureSkipTlsVerify = 'false';
+      expect(helpers.getKubeConfigOptions(serverlessInsecure)).to.not.have.property(
+        'insecureSkipTlsVerify'
+      );
+    });
+    it('should give priority to the options given in the command line', () => {
+      expect(helpers.getKubeConfigOptions(serverless, {
+        context: 'production',
+        kubeconfig: '/kube/config',
+      })).to.be.eql({
+        context: 'production',
+        kubeconfig: '/kube/config',
+      });
+    });
+    it('should return an empty object if nothing is configured', () => {
+      expect(helpers.getKubeConfigOptions({ config: {}, service: { provider: {} } })).to.be.eql({});
+    });
+  });
+  describe('#loadInClusterConfig', () => {
+    let cwd = null;
+    const previousEnv = _.cloneDeep(process.env);
+    beforeEach(() => {
+      cwd = path.join(os.tmpdir(), moment().valueOf().toString());
+      fs.mkdirSync(cwd);
+      fs.writeFileSync(path.join(cwd, 'token'), 'token1234\n');
+      fs.writeFileSync(path.join(cwd, 'ca.crt'), 'ca1234');
+      fs.writeFileSync(path.join(cwd, 'namespace'), 'custom');
+      process.env.KUBERNETES_SERVICE_HOST = '10.0.0.1';
+      process.env.KUBERNETES_SERVICE_PORT = '443';
+    });
+    afterEach(() => {
+      process.env = _.cloneDeep(previousEnv);
+      rm(cwd);
+    });
+    it('should generate a configuration based on the service account', () => {
+      const config = helpers.loadInClusterConfig(cwd);
+      expect(helpers.getConnectionOptions(config)).to.be.eql({
+        group: 'k8s.io',
+        url: 'https://10.0.0.1:443',
+        namespace: 'custom',
+        ca: Buffer.from('ca1234'),
+        auth: { bearer: 'token1234' },
+      });
+    });
+    it('should use the default namespace if the namespace file is missing', () => {
+      fs.unlinkSync(path.join(cwd, 'namespace'));
+      const config = helpers.loadInClusterConfig(cwd);
+      expect(helpers.getDefaultNamespace(config)).to.be.eql('default');
+    });
+    it('should enclose IPv6 addresses in brackets', () => {
+      process.env.KUBERNETES_SERVICE_HOST = 'fd00::1';
+      const config = helpers.loadInClusterConfig(cwd);
+      expect(helpers.getKubernetesAPIURL(config)).to.be.eql('https://[fd00::1]:443');
+    });
+    it('should return null if it is not running inside a cluster', () => {
+      delete process.env.KUBERNETES_SERVICE_HOST;
+      expect(helpers.loadInClusterConfig(cwd)).to.be.eql(null);
+    });
+    it('should return null if there is no service account token', () => {
+      fs.unlinkSync(path.join(cwd, 'token'));
+      expect(helpers.loadInClusterConfig(cwd)).to.be.eql(null);
+    });
+  });
+  describe('#refreshAuthToken', () => {
+    let server = null;
+    let issuer = null;
+    let tokenRequests = null;
+    let cwd = null;
+    const previousEnv = _.cloneDeep(process.env);
+    const newIdToken = jwt({ exp: moment().add('1', 'h').unix() });
+    before((done) => {
+      // Stand-in for the token endpoint of an OIDC provider
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (d) => { body += d; });
+        req.on('end', () => {
+          const headers = { 'Content-Type': 'application/json' };
+          if (req.url === '/.well-known/openid-configuration') {
+            res.writeHead(200, headers);
+            res.end(JSON.stringify({ token_endpoint: `${issuer}/token` }));
+          } else if (req.url === '/token' && body.match(/refresh_token=refresh-ok/)) {
+            tokenRequests.push(body);
+            res.writeHead(200, headers);
+            res.end(JSON.stringify({ id_token: newIdToken, refresh_token: 'refresh-ok-new' }));
+          } else {
+            res.writeHead(401, headers);
+            res.end(JSON.stringify({ error: 'invalid_grant' }));
+          }
+        });
+      }).listen(0, '127.0.0.1', () => {
+        issuer = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+    after(() => {
+      server.close();
+    });
+    beforeEach(() => {
+      tokenRequests = [];
+      cwd = path.join(os.tmpdir(), moment().valueOf().toString());
+      fs.mkdirSync(cwd);
+    });
+    afterEach(() => {
+      process.env = _.cloneDeep(previousEnv);
+      rm(cwd);
+    });
+    function oidcConfig(refreshToken) {
+      return loadKubeConfig({
+        users: [{
+          name: 'cluster-user',
+          user: {
+            'auth-provider': {
+              name: 'oidc',
+              config: {
+                'client-id': 'kubernetes',
+                'client-secret': 'secret1234',
+                'id-token': jwt({ exp: moment().subtract('1', 'm').unix() }),
+                'idp-issuer-url': issuer,
+                'refresh-token': refreshToken,
+              },
+            },
+          },
+        }],
+      });
+    }
+    it('should refresh an expired OIDC id-token', () => {
+      const config = oidcConfig('refresh-ok');
+      return helpers.refreshAuthToken(config).then(() => {
+        expect(tokenRequests.length).to.be.eql(1);
+        expect(tokenRequests[0]).to.match(/grant_type=refresh_token/);
+        expect(tokenRequests[0]).to.match(/client_id=kubernetes/);
+        expect(tokenRequests[0]).to.match(/client_secret=secret1234/);
+        expect(helpers.getConnectionOptions(config).auth).to.be.eql({ bearer: newIdToken });
+      });
+    });
+    it('should not refresh a valid OIDC id-token', () => {
+      const config = oidcConfig('refresh-ok');
+      config.users[0].user['auth-provider'].config['id-token'] = newIdToken;
+      return helpers.refreshAuthToken(config).then(() => {
+        expect(tokenRequests.length).to.be.eql(0);
+      });
+    });
+    it('should write the refreshed token in the kubeconfig if required', () => {
+      // Use a different refresh token since the previous one has been already used
+      const config = oidcConfig('refresh-ok-save');
+      const kubeconfig = path.join(cwd, 'config');
+      fs.writeFileSync(kubeconfig, yaml.safeDump(config));
+      return helpers.refreshAuthToken(config, { save: true, kubeconfig }).then(() => {
+        const savedConfig = yaml.safeLoad(fs.readFileSync(kubeconfig));
+        expect(savedConfig.users[0].user['auth-provider'].config).to.be.eql(_.assign(
+          {},
+          config.users[0].user['auth-provider'].config,
+          { 'id-token': newIdToken, 'refresh-token': 'refresh-ok-new' }
+        ));
+      });
+    });
+    it('should fail if the token endpoint rejects the refresh token', () => {
+      const config = oidcConfig('refresh-invalid');
+      return expect(helpers.refreshAuthToken(config)).to.be.eventually.rejectedWith(
+        'Unable to refresh the access token'
+      );
+    });
   });
   describe('#getKubernetesAPIURL', () => {
     it('retrieves the server URL', () => {
@@ -171,6 +431,71 @@ describe('Helper functions', () => {
       });
       expect(helpers.getConnectionOptions(config).ca).to.be.eql(Buffer.from('LS0tLS1', 'base64'));
     });
+    it('should not skip the TLS verification if there is no certificate-authority', () => {
+      const config = loadKubeConfig({
+        clusters: [{ cluster: { server: 'https://1.2.3.4:4433' }, name: 'cluster-name' }],
+      });
+      expect(helpers.getConnectionOptions(config)).to.not.have.property('insecureSkipTlsVerify');
+    });
+    it('should skip the TLS verification if it is explicitly requested', () => {
+      const kubeconfig = path.join(os.tmpdir(), moment().valueOf().toString());
+      fs.writeFileSync(kubeconfig, yaml.safeDump(loadKubeConfig()));
+      try {
+        const config = helpers.loadKubeConfig({ kubeconfig, insecureSkipTlsVerify: true });
+        expect(helpers.getConnectionOptions(config).insecureSkipTlsVerify).to.be.eql(true);
+        expect(helpers.getRequestOptions(helpers.getConnectionOptions(config)).strictSSL)
+          .to.be.eql(false);
+      } finally {
+        rm(kubeconfig);
+      }
+    });
+    it('should return connection options with the tls-server-name', () => {
+      const config = loadKubeConfig({
+        clusters: [{
+          cluster: { server: 'https://1.2.3.4:4433', 'tls-server-name': 'kubernetes.local' },
+          name: 'cluster-name',
+        }],
+      });
+      expect(helpers.getConnectionOptions(config).request).to.be.eql({
+        agentOptions: { servername: 'kubernetes.local' },
+      });
+    });
+    describe('using a proxy', () => {
+      const previousEnv = _.cloneDeep(process.env);
+      const config = loadKubeConfig({
+        clusters: [{ cluster: { server: 'https://cluster.example.com' }, name: 'cluster-name' }],
+      });
+      beforeEach(() => {
+        _.each(['HTTPS_PROXY', 'https_proxy', 'NO_PROXY', 'no_proxy'], v => {
+          delete process.env[v];
+        });
+      });
+      afterEach(() => {
+        process.env = _.cloneDeep(previousEnv);
+      });
+      it('should return connection options with the proxy of the cluster', () => {
+        process.env.HTTPS_PROXY = 'http://env-proxy:3128';
+        const clusterConfig = _.cloneDeep(config);
+        clusterConfig.clusters[0].cluster['proxy-url'] = 'http://cluster-proxy:3128';
+        expect(helpers.getConnectionOptions(clusterConfig).request).to.be.eql({
+          proxy: 'http://cluster-proxy:3128',
+        });
+      });
+      it('should return connection options with the proxy from HTTPS_PROXY', () => {
+        process.env.HTTPS_PROXY = 'http://env-proxy:3128';
+        expect(helpers.getConnectionOptions(config).request).to.be.eql({
+          proxy: 'http://env-proxy:3128',
+        });
+        expect(helpers.getRequestOptions(helpers.getConnectionOptions(config)).proxy).to.be.eql(
+          'http://env-proxy:3128'
+        );
+      });
+      it('should not use a proxy for the hosts in NO_PROXY', () => {
+        process.env.HTTPS_PROXY = 'http://env-proxy:3128';
+        process.env.NO_PROXY = 'localhost,.example.com';
+        expect(helpers.getConnectionOptions(config)).to.not.have.property('request');
+      });
+    });
     it('should return connection options with a token', () => {
       const config = loadKubeConfig({
         users: [
@@ -224,6 +549,155 @@ describe('Helper functions', () => {
       });
       expect(() => helpers.getConnectionOptions(config)).to.throw('The access token has expired');
     });
+    describe('using an exec credential plugin', () => {
+      let cwd = null;
+      beforeEach(() => {
+        cwd = path.join(os.tmpdir(), moment().valueOf().toString());
+        fs.mkdirSync(cwd);
+      });
+      afterEach(() => {
+        rm(cwd);
+      });
+      function execPlugin(status) {
+        // The plugin writes a line in a file every time it is executed
+        const plugin = path.join(cwd, 'plugin.js');
+        fs.writeFileSync(
+          plugin,
+          `require('fs').appendFileSync('${path.join(cwd, 'calls')}', '.');\n` +
+          `console.log(JSON.stringify(${JSON.stringify({
+            apiVersion: 'client.authentication.k8s.io/v1beta1',
+            kind: 'ExecCredential',
+            status,
+          })}));\n`
+        );
+        return {
+          apiVersion: 'client.authentication.k8s.io/v1beta1',
+          command: process.execPath,
+          args: [plugin],
+          env: [{ name: 'TEST_ENV', value: cwd }],
+        };
+      }
+      function pluginCalls() {
+        return fs.readFileSync(path.join(cwd, 'calls')).toString().length;
+      }
+      it('should return connection options with the token returned by the plugin', () => {
+        const config = loadKubeConfig({
+          users: [{
+            name: 'cluster-user',
+            user: { exec: execPlugin({ token: 'exec-token-1234' }) },
+          }],
+        });
+        expect(helpers.getConnectionOptions(config).auth).to.be.eql({
+          bearer: 'exec-token-1234',
+        });
+      });
+      it('should reuse the token until it expires', () => {
+        const config = loadKubeConfig({
+          users: [{
+            name: 'cluster-user',
+            user: {
+              exec: execPlugin({
+                token: 'exec-token-1234',
+                expirationTimestamp: moment().add('1', 'h').format(),
+              }),
+            },
+          }],
+        });
+        helpers.getConnectionOptions(config);
+        helpers.getConnectionOptions(config);
+        expect(pluginCalls()).to.be.eql(1);
+      });
+      it('should return when the credentials of the plugin expire', () => {
+        const expirationTimestamp = moment().add('1', 'h').startOf('second');
+        const config = loadKubeConfig({
+          users: [{
+            name: 'cluster-user',
+            user: {
+              exec: execPlugin({
+                token: 'exec-token-1234',
+                expirationTimestamp: expirationTimestamp.format(),
+              }),
+            },
+          }],
+        });
+        expect(helpers.getCredentialsExpiry(config).valueOf()).to.be.eql(
+          expirationTimestamp.valueOf()
+        );
+        expect(helpers.getCredentialsExpiry(loadKubeConfig())).to.be.eql(null);
+      });
+      it('should execute the plugin again if the token has expired', () => {
+        const config = loadKubeConfig({
+          users: [{
+            name: 'cluster-user',
+            user: {
+              exec: execPlugin({
+                token: 'exec-token-1234',
+                expirationTimestamp: moment().subtract('1', 'm').format(),
+              }),
+            },
+          }],
+        });
+        helpers.getConnectionOptions(config);
+        helpers.getConnectionOptions(config);
+        expect(pluginCalls()).to.be.eql(2);
+      });
+      it('should return connection options with the certificate returned by the plugin', () => {
+        const config = loadKubeConfig({
+          users: [{
+            name: 'cluster-user',
+            user: {
+              exec: execPlugin({ clientCertificateData: 'cert1234', clientKeyData: 'key1234' }),
+            },
+          }],
+        });
+        const result = helpers.getConnectionOptions(config);
+        expect(result.cert.toString()).to.be.eql('cert1234');
+        expect(result.key.toString()).to.be.eql('key1234');
+      });
+      it('should throw an error if the plugin fails', () => {
+        const config = loadKubeConfig({
+          users: [{
+            name: 'cluster-user',
+            user: { exec: { command: path.join(cwd, 'not-found') } },
+          }],
+        });
+        expect(() => helpers.getConnectionOptions(config)).to.throw(
+          'Unable to retrieve credentials executing'
+        );
+      });
+    });
+    it('should return connection options with an OIDC id-token', () => {
+      const idToken = jwt({ exp: moment().add('1', 'h').unix() });
+      const config = loadKubeConfig({
+        users: [{
+          name: 'cluster-user',
+          user: {
+            'auth-provider': {
+              name: 'oidc',
+              config: { 'id-token': idToken, 'refresh-token': 'refresh-valid' },
+            },
+          },
+        }],
+      });
+      expect(helpers.getConnectionOptions(config).auth).to.be.eql({ bearer: idToken });
+    });
+    it('should throw an error if the OIDC id-token has expired', () => {
+      const config = loadKubeConfig({
+        users: [{
+          name: 'cluster-user',
+          user: {
+            'auth-provider': {
+              name: 'oidc',
+              config: {
+                'id-token': jwt({ exp: moment().subtract('1', 'm').unix() }),
+                'refresh-token': 'refresh-expired',
+              },
+            },
+          },
+        }],
+      });
+      expect(() => helpers.getConnectionOptions(config)).to.throw('The access token has expired');
+    });
     it('should return connection options with user and password', () => {
       const config = loadKubeConfig({
         users: [
@@ -0,0 +1,178 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+const chaiAsPromised = require('chai-as-promised');
+const expect = require('chai').expect;
+const kafka = require('../lib/kafka');
+const sinon = require('sinon');
+
+require('chai').use(chaiAsPromised);
+
+describe('Kafka helpers', () => {
+  describe('#checkTrigger', () => {
+    it('should accept a topic or an object with its settings', () => {
+      expect(kafka.checkTrigger('my_topic.1')).to.be.eql(null);
+      expect(kafka.checkTrigger({ topic: 'topic', partitions: 2, replicationFactor: 1 }))
+        .to.be.eql(null);
+    });
+    it('should return the reason why a trigger is not valid', () => {
+      expect(kafka.checkTrigger({ topic: 'topic', startFrom: 'earliest' })).to.be.eql(
+        'startFrom can\'t be set since the Kubeless Kafka controller doesn\'t support them'
+      );
+      expect(kafka.checkTrigger({ topic: 'topic', retention: 1 })).to.be.eql(
+        'unknown settings retention. Supported: topic, partitions, replicationFactor'
+      );
+      expect(kafka.checkTrigger(_.repeat('t', 250))).to.be.eql(
+        `"${_.repeat('t', 250)}" is not a valid topic name`
+      );
+      expect(kafka.checkTrigger({ topic: 'topic', replicationFactor: 0 })).to.be.eql(
+        'replicationFactor should be a positive integer'
+      );
+    });
+  });
+  describe('#getTopics', () => {
+    it('should return the settings of every topic once', () => {
+      expect(kafka.getTopics({
+        f1: { events: [{ trigger: 'topic1' }, { http: {} }] },
+        f2: { events: [{ trigger: { topic: 'topic2', partitions: 3 } }, { trigger: 'topic1' }] },
+        f3: {},
+      })).to.be.eql([{ topic: 'topic1' }, { topic: 'topic2', partitions: 3 }]);
+    });
+    it('should merge the settings of the triggers of the same topic', () => {
+      expect(kafka.getTopics({
+        f1: { events: [{ trigger: 'topic' }, { trigger: { topic: 'topic', partitions: 3 } }] },
+        f2: { events: [{ trigger: { topic: 'topic', replicationFactor: 2, partitions: 3 } }] },
+      })).to.be.eql([{ topic: 'topic', partitions: 3, replicationFactor: 2 }]);
+    });
+    it('should throw an error if the triggers of a topic set different values', () => {
+      expect(() => kafka.getTopics({
+        f1: { events: [{ trigger: { topic: 'topic', replicationFactor: 1 } }] },
+        f2: { events: [{ trigger: { topic: 'topic', replicationFactor: 2 } }] },
+      })).to.throw('The triggers of the topic topic set different replicationFactor');
+    });
+  });
+  describe('#getTopicsSettings', () => {
+    it('should return null if topics are not managed', () => {
+      expect(kafka.getTopicsSettings(undefined)).to.be.eql(null);
+      expect(kafka.getTopicsSettings(false)).to.be.eql(null);
+    });
+    it('should return the default settings', () => {
+      expect(kafka.getTopicsSettings(true)).to.be.eql({
+        namespace: 'kubeless',
+        zookeeper: 'zookeeper.kubeless:2181',
+        image: 'bitnami/kafka:1.1.0-r0',
+        deleteOnRemove: false,
+      });
+    });
+    it('should merge the given settings', () => {
+      expect(kafka.getTopicsSettings({ namespace: 'kafka', deleteOnRemove: true })).to.be.eql({
+        namespace: 'kafka',
+        zookeeper: 'zookeeper.kubeless:2181',
+        image: 'bitnami/kafka:1.1.0-r0',
+        deleteOnRemove: true,
+      });
+    });
+    it('should throw an error with unknown settings', () => {
+      expect(() => kafka.getTopicsSettings({ broker: 'kafka:9092' })).to.throw(
+        'Unknown settings of provider.autoCreateTopics: broker'
+      );
+      expect(() => kafka.getTopicsSettings('yes')).to.throw(
+        'provider.autoCreateTopics should be either true or an object'
+      );
+    });
+  });
+  describe('#getCreateTopicsScript', () => {
+    it('should create every topic with its partitions and replication factor', () => {
+      expect(kafka.getCreateTopicsScript(
+        [{ topic: 'topic1' }, { topic: 'topic2', partitions: 3, replicationFactor: 2 }],
+        kafka.getTopicsSettings(true)
+      )).to.be.eql([
+        'kafka-topics.sh --zookeeper \'zookeeper.kubeless:2181\' --create --if-not-exists ' +
+        '--topic \'topic1\' --partitions \'1\' --replication-factor \'1\'',
+        'kafka-topics.sh --zookeeper \'zookeeper.kubeless:2181\' --create --if-not-exists ' +
+        '--topic \'topic2\' --partitions \'3\' --replication-factor \'2\'',
+      ]);
+    });
+  });
+  describe('#getDeleteTopicsScript', () => {
+    it('should delete every topic', () => {
+      expect(kafka.getDeleteTopicsScript(
+        [{ topic: 'topic1' }],
+        kafka.getTopicsSettings({ zookeeper: 'zk\'s:2181' })
+      )).to.be.eql([
+        'kafka-topics.sh --zookeeper \'zk\'\\\'\'s:2181\' --delete --if-exists --topic \'topic1\'',
+      ]);
+    });
+  });
+  describe('#runTopicsJob', () => {
+    const settings = kafka.getTopicsSettings(true);
+    let batch = null;
+    let statuses = null;
+    beforeEach(() => {
+      statuses = [{}, { active: 1 }, { succeeded: 1 }];
+      batch = {
+        ns: {
+          jobs: {
+            post: sinon.stub().callsFake((data, ff) => ff(null, data.body)),
+            get: sinon.stub().callsFake((name, ff) => ff(null, { status: statuses.shift() })),
+            delete: sinon.stub().callsFake((data, ff) => ff(null, {})),
+          },
+        },
+      };
+    });
+    it('should run the commands in a job and remove it once finished', () => (
+      kafka.runTopicsJob(batch, ['cmd1', 'cmd2'], settings, { interval: 1 }).then(() => {
+        const job = batch.ns.jobs.post.firstCall.args[0].body;
+        expect(job.metadata.namespace).to.be.eql('kubeless');
+        expect(job.spec.template.spec.restartPolicy).to.be.eql('Never');
+        expect(job.spec.template.spec.containers[0].image).to.be.eql('bitnami/kafka:1.1.0-r0');
+        expect(job.spec.template.spec.containers[0].command).to.be.eql([
+          'sh',
+          '-c',
+          'set -e\nexport PATH="$PATH:/opt/bitnami/kafka/bin"\ncmd1\ncmd2',
+        ]);
+        expect(batch.ns.jobs.get.callCount).to.be.eql(3);
+        expect(batch.ns.jobs.delete.firstCall.args[0].name).to.be.eql(job.metadata.name);
+      })
+    ));
+    it('should fail if the job fails', () => {
+      statuses = [{ failed: 1 }];
+      return expect(
+        kafka.runTopicsJob(batch, ['cmd'], settings, { interval: 1 })
+      ).to.be.rejectedWith('Unable to manage the topics. Check the logs of the job').then(() => {
+        // The job is kept to be able to inspect it
+        expect(batch.ns.jobs.delete.called).to.be.eql(false);
+      });
+    });
+    it('should fail if the job can not be created', () => {
+      batch.ns.jobs.post.callsFake((data, ff) => ff({ code: 403, message: 'Forbidden' }));
+      return expect(
+        kafka.runTopicsJob(batch, ['cmd'], settings, { interval: 1 })
+      ).to.be.rejectedWith('Unable to manage the topics. Received: Forbidden');
+    });
+    it('should give up if the job does not finish', () => {
+      statuses = [{}, {}, {}];
+      return expect(
+        kafka.runTopicsJob(batch, ['cmd'], settings, { interval: 1, retries: 3 })
+      ).to.be.rejectedWith('Timed out waiting for the job').then(() => {
+        expect(batch.ns.jobs.delete.calledOnce).to.be.eql(true);
+      });
+    });
+  });
+});
@@ -22,9 +22,11 @@ const BbPromise = require('bluebird');
 const chaiAsPromised = require('chai-as-promised');
 const expect = require('chai').expect;
 const fs = require('fs');
-const helpers = require('../lib/helpers');
+const JSZip = require('jszip');
+const kafka = require('../lib/kafka');
 const mocks = require('./lib/mocks');
 const moment = require('moment');
+const packaging = require('../lib/packaging');
 const path = require('path');
 const rm = require('./lib/rm');
 const sinon = require('sinon');
@@ -92,6 +94,15 @@ describe('KubelessDeploy', () => {
       })
     );
   });
+  // Returns a deployer for a service with the given function and provider settings
+  const withSettings = (description, provider) => {
+    const serverlessWithSettings = _.cloneDeep(serverless);
+    _.assign(serverlessWithSettings.service.provider, provider);
+    if (description) {
+      serverlessWithSettings.service.functions.myFunction = description;
+    }
+    return new KubelessDeploy(serverlessWithSettings);
+  };
   describe('#validate', () => {
     it('prints a message if an unsupported option is given', () => {
       const kubelessDeploy = new KubelessDeploy(serverless, { region: 'us-east1' });
@@ -105,6 +116,293 @@ describe('KubelessDeploy', () => {
         serverless.cli.log.restore();
       }
     });
+    it('should not check the runtime before the cluster is inspected', () => {
+      expect(() => withSettings(null, { runtime: 'rust1.26' }).validate()).to.not.throw();
+    });
+    it('should throw an error if the resources are not valid', () => {
+      expect(() => withSettings({ cpu: '1.5m' }).validate()).to.throw(
+        'Invalid resources for the function myFunction: "1.5m" is not a valid amount of cpu'
+      );
+      expect(() => withSettings({ resources: { limits: { memory: '1Gb' } } }).validate()).to.throw(
+        'Invalid resources for the function myFunction: "1Gb" is not a valid amount of memory'
+      );
+      expect(() => withSettings({
+        memorySize: '1Gi',
+        resources: { requests: { memory: '2Gi' } },
+      }).validate()).to.throw(
+        'Invalid resources for the function myFunction: ' +
+        'the memory request 2Gi is greater than its limit 1Gi'
+      );
+    });
+    it('should throw an error if the environment is not valid', () => {
+      expect(() => withSettings({
+        environment: { TOKEN: { secretKeyRef: { name: 'api', key: 'token' } } },
+      }).validate()).to.not.throw();
+      expect(() => withSettings({ environment: { TOKEN: { secret: 'api' } } }).validate()).to.throw(
+        'Invalid environment for the function myFunction: the variable TOKEN should be a value'
+      );
+    });
+    it('should throw an error if the volumes are not valid', () => {
+      expect(() => withSettings({
+        volumes: [{ name: 'cache', emptyDir: {}, mountPath: '/cache' }],
+      }).validate()).to.not.throw();
+      expect(() => withSettings({ secrets: [{ name: 'tls', path: '/tls' }] }).validate()).to.throw(
+        'Invalid volumes for the function myFunction: the secrets should be names or objects'
+      );
+    });
+    it('should throw an error if the replicas are not valid', () => {
+      expect(() => withSettings({ replicas: 0 }, { replicas: 2 }).validate()).to.not.throw();
+      expect(() => withSettings({ replicas: 1.5 }).validate()).to.throw(
+        'The replicas of the function myFunction should be a non negative integer'
+      );
+      expect(() => withSettings({}, { replicas: '2' }).validate()).to.throw(
+        'The replicas of the provider should be a non negative integer'
+      );
+      expect(() => withSettings({ replicas: 2, autoscaling: { maxReplicas: 3 } }).validate())
+        .to.throw(
+          'The function myFunction can\'t set its replicas since they are managed by its autoscaler'
+        );
+    });
+    it('should accept valid autoscaling settings', () => {
+      expect(() => withSettings({ autoscaling: {
+        minReplicas: 2,
+        maxReplicas: 10,
+        targetCPU: 70,
+        metric: { name: 'http_requests', target: 100 },
+      } }).validate()).to.not.throw();
+    });
+    it('should throw an error if the autoscaling settings are not valid', () => {
+      const withAutoscaling = autoscaling => withSettings({ autoscaling });
+      const prefix = 'Invalid autoscaling for the function myFunction: ';
+      expect(() => withAutoscaling({ minReplicas: 1 }).validate()).to.throw(
+        `${prefix}maxReplicas should be a positive integer`
+      );
+      expect(() => withAutoscaling({ minReplicas: 4, maxReplicas: 2 }).validate()).to.throw(
+        `${prefix}minReplicas can't be greater than maxReplicas`
+      );
+      expect(() => withAutoscaling({ maxReplicas: 2, targetCPU: '70%' }).validate()).to.throw(
+        `${prefix}targetCPU should be a positive integer`
+      );
+      expect(() => withAutoscaling({ maxReplicas: 2, metric: 'qps' }).validate()).to.throw(
+        `${prefix}metric should be an object with the name and the target value of a custom metric`
+      );
+      expect(() => withAutoscaling({ maxReplicas: 2, replicas: 1 }).validate()).to.throw(
+        `${prefix}unknown settings replicas`
+      );
+    });
+    it('should throw an error if an event type is not supported', () => {
+      expect(() => withSettings({ events: [{ http: {} }, { s3: 'bucket' }] }).validate()).to.throw(
+        'Event type s3 of the function myFunction is not supported'
+      );
+    });
+    it('should accept several event sources', () => {
+      expect(() => withSettings({ events: [{ http: {} }, { trigger: 'topic' }] }).validate())
+        .to.not.throw();
+    });
+    it('should accept valid cron expressions', () => {
+      _.each([
+        '*/5 * * * *',
+        '0 0 1,15 * MON-FRI',
+        '30 2-6/2 * jan,Jul 0',
+        '@hourly',
+      ], schedule => {
+        expect(() => withSettings({ events: [{ schedule }] }).validate()).to.not.throw();
+      });
+    });
+    it('should throw an error if the cron expression is not valid', () => {
+      const withSchedule = schedule => withSettings({ events: [{ schedule }] });
+      expect(() => withSchedule('* * * *').validate()).to.throw(
+        'Invalid schedule "* * * *" for the function myFunction: expected 5 fields but found 4'
+      );
+      expect(() => withSchedule('60 * * * *').validate()).to.throw(
+        '"60" is out of the minute range (0-59)'
+      );
+      expect(() => withSchedule('* * * FOO *').validate()).to.throw(
+        '"FOO" is out of the month range (1-12)'
+      );
+      expect(() => withSchedule('*/0 * * * *').validate()).to.throw(
+        'the step of the minute can\'t be 0'
+      );
+      expect(() => withSchedule('* 10-2 * * *').validate()).to.throw(
+        '"10-2" is not a valid hour range'
+      );
+      expect(() => withSchedule('* * % * *').validate()).to.throw(
+        '"%" is not a valid day of the month'
+      );
+    });
+    it('should throw an error if the schedule is combined with other events', () => {
+      expect(() => withSettings({ events: [{ schedule: '@daily' }, { http: {} }] }).validate())
+        .to.throw(
+          'The function myFunction can\'t combine a schedule event with other event sources'
+        );
+    });
+    it('should accept a topic or an object with the trigger settings', () => {
+      expect(() => withSettings({ events: [{ trigger: 'my_topic.1' }] }).validate())
+        .to.not.throw();
+      expect(() => withSettings(
+        { events: [{ trigger: { topic: 'my_topic', partitions: 3, replicationFactor: 2 } }] },
+        { autoCreateTopics: true }
+      ).validate()).to.not.throw();
+    });
+    it('should throw an error if a trigger is not valid', () => {
+      const withTrigger = trigger => withSettings({ events: [{ trigger }] });
+      expect(() => withTrigger({ partitions: 3 }).validate()).to.throw(
+        'Invalid trigger for the function myFunction: "undefined" is not a valid topic name'
+      );
+      expect(() => withTrigger('my topic').validate()).to.throw(
+        '"my topic" is not a valid topic name'
+      );
+      expect(() => withTrigger({ topic: 'topic', group: 'my-service' }).validate()).to.throw(
+        'unknown settings group. Supported: topic, partitions, replicationFactor'
+      );
+      expect(() => withTrigger({ topic: 'topic', partitions: 0 }).validate()).to.throw(
+        'partitions should be a positive integer'
+      );
+      expect(() => withTrigger({ topic: 'topic', replicationFactor: '2' }).validate()).to.throw(
+        'replicationFactor should be a positive integer'
+      );
+      expect(() => withTrigger({
+        topic: 'topic',
+        consumerGroup: 'my-service',
+        startFrom: 'earliest',
+      }).validate()).to.throw(
+        'Invalid trigger for the function myFunction: consumerGroup, startFrom can\'t be set ' +
+        'since the Kubeless Kafka controller doesn\'t support them'
+      );
+    });
+    it('should throw an error if the topic settings are given without creating the topics', () => {
+      expect(() => withSettings({
+        events: [{ trigger: { topic: 'topic', partitions: 3 } }],
+      }).validate()).to.throw(
+        'Invalid trigger for the function myFunction: partitions only apply to the topics ' +
+        'created with provider.autoCreateTopics'
+      );
+    });
+    it('should throw an error if the triggers of a topic describe it differently', () => {
+      const kubelessDeploy = withSettings(
+        { events: [{ trigger: { topic: 'topic', partitions: 3 } }] },
+        { autoCreateTopics: true }
+      );
+      kubelessDeploy.serverless.service.functions.otherFunction = { events: [
+        { trigger: 'topic' },
+        { trigger: { topic: 'topic', partitions: 2 } },
+      ] };
+      expect(() => kubelessDeploy.validate()).to.throw(
+        'The triggers of the topic topic set different partitions'
+      );
+    });
+    it('should throw an error if the topics can\'t be created as described', () => {
+      const withTopics = autoCreateTopics => withSettings(
+        { events: [{ trigger: 'topic' }] },
+        { autoCreateTopics }
+      );
+      expect(() => withTopics('yes').validate()).to.throw(
+        'provider.autoCreateTopics should be either true or an object'
+      );
+      expect(() => withTopics({ zookeper: 'zk:2181' }).validate()).to.throw(
+        'Unknown settings of provider.autoCreateTopics: zookeper'
+      );
+    });
+  });
+  describe('#checkRuntime', () => {
+    const withRuntime = (runtime, runtimes) => withSettings(null, { runtime, runtimes });
+    it('should accept the built-in runtimes', () => {
+      _.each(['python3.6', 'nodejs8', 'go1.10', 'php7.2', 'java1.8', 'dotnetcore2.0'], r => {
+        expect(() => withRuntime(r).checkRuntime()).to.not.throw();
+      });
+    });
+    it('should accept the runtimes of the service', () => {
+      expect(() => withRuntime('rust1.26', {
+        rust: { versions: [1.26], extension: '.rs', deps: 'Cargo.toml' },
+      }).checkRuntime()).to.not.throw();
+    });
+    it('should throw an error if the runtime is not supported', () => {
+      expect(() => withRuntime('cobol85').checkRuntime()).to.throw(
+        'The runtime cobol85 is not supported yet'
+      );
+      expect(() => withRuntime('python2.6').checkRuntime()).to.throw(
+        'The version "2.6" of the runtime python is not supported. ' +
+        'Supported versions: 2.7, 3.4, 3.6'
+      );
+    });
+    it('should throw an error if the cluster does not support the runtime', () => {
+      const kubelessDeploy = withRuntime('python3.6');
+      sinon.stub(kubelessDeploy.provider, 'getCore').returns({ ns: { configmaps: {
+        get: (name, ff) => ff(null, { data: { 'runtime-images': JSON.stringify([{
+          ID: 'python',
+          versions: [{ name: 'python27', version: '2.7' }],
+          depName: 'requirements.txt',
+          fileNameSuffix: '.py',
+        }]) } }),
+      } } });
+      return kubelessDeploy.provider.detectRuntimes().then(() => {
+        expect(() => kubelessDeploy.checkRuntime()).to.throw(
+          'The version "3.6" of the runtime python is not supported. Supported versions: 2.7'
+        );
+      });
+    });
+    it('should check the runtimes of every cluster', () => {
+      const kubelessDeploy = withSettings(null, {
+        runtime: 'python3.6',
+        clusters: [{ context: 'eu' }, { context: 'us' }],
+      });
+      const provider = kubelessDeploy.provider;
+      sinon.stub(provider, 'prepareCluster').callsFake(() => {
+        provider.getTarget().runtimes = {
+          python: { versions: provider.cluster.context === 'eu' ? ['3.6'] : ['2.7'] },
+        };
+        return BbPromise.resolve();
+      });
+      sinon.stub(kubelessDeploy, 'deployFunction').returns(BbPromise.resolve());
+      const log = sinon.stub(kubelessDeploy.serverless.cli, 'log');
+      return expect(kubelessDeploy.hooks['deploy:deploy']()).to.be.rejectedWith(
+        'The command failed in 1 of 2 clusters'
+      ).then(() => {
+        expect(kubelessDeploy.deployFunction.calledOnce).to.be.eql(true);
+        expect(log.lastCall.args[0]).to.be.eql(
+          '  us failed: The version "3.6" of the runtime python is not supported. ' +
+          'Supported versions: 2.7'
+        );
+      });
+    });
+  });
+  describe('#createTopicsIfNecessary', () => {
+    const serverlessWithTrigger = _.defaultsDeep({
+      service: {
+        provider: { autoCreateTopics: { namespace: 'kafka' } },
+        functions: {
+          myFunction: { events: [{ trigger: { topic: 'topic', partitions: 2 } }] },
+          other: { events: [{ http: {} }] },
+        },
+      },
+    }, serverless);
+    beforeEach(() => {
+      sinon.stub(kafka, 'runTopicsJob').returns(BbPromise.resolve());
+    });
+    afterEach(() => {
+      kafka.runTopicsJob.restore();
+    });
+    it('should create the topics of the trigger events', () => {
+      const kubelessDeploy = new KubelessDeploy(serverlessWithTrigger);
+      const batch = {};
+      sinon.stub(kubelessDeploy.provider, 'getBatch').returns(batch);
+      return kubelessDeploy.createTopicsIfNecessary().then(() => {
+        expect(kubelessDeploy.provider.getBatch.firstCall.args).to.be.eql(['kafka', 'v1']);
+        expect(kafka.runTopicsJob.firstCall.args[0]).to.be.equal(batch);
+        expect(kafka.runTopicsJob.firstCall.args[1]).to.be.eql([
+          'kafka-topics.sh --zookeeper \'zookeeper.kubeless:2181\' --create --if-not-exists ' +
+          '--topic \'topic\' --partitions \'2\' --replication-factor \'1\'',
+        ]);
+      });
+    });
+    it('should not create topics unless it is enabled', () => {
+      const kubelessDeploy = new KubelessDeploy(_.defaultsDeep({
+        service: { provider: { autoCreateTopics: false } },
+      }, serverlessWithTrigger));
+      return kubelessDeploy.createTopicsIfNecessary().then(() => {
+        expect(kafka.runTopicsJob.called).to.be.eql(false);
+      });
+    });
   });
   describe('#getThirdPartyResources', () => {
     let cwd = null;
@@ -115,9 +413,8 @@ describe('KubelessDeploy', () => {
       mocks.restoreKubeConfig(cwd);
     });
     it('should instantiate taking the values from the kubernetes config', () => {
-      const thirdPartyResources = KubelessDeploy.prototype.getThirdPartyResources(
-        helpers.getConnectionOptions(helpers.loadKubeConfig())
-      );
+      const kubelessDeploy = new KubelessDeploy(serverless);
+      const thirdPartyResources = kubelessDeploy.getThirdPartyResources();
       expect(thirdPartyResources.url).to.be.eql('http://1.2.3.4:4433');
       expect(thirdPartyResources.requestOptions).to.be.eql({
         ca: Buffer.from('LS0tLS1', 'base64'),
@@ -381,6 +678,14 @@ describe('KubelessDeploy', () => {
       ).to.be.a('function');
       return result;
     });
+    it('should deploy a function with the API version served by the cluster', () => {
+      sinon.stub(kubelessDeploy.provider, 'getFunctionsAPIVersion').returns('kubeless.io/v1beta1');
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(
+          thirdPartyResources.ns.functions.post.firstCall.args[0].body.apiVersion
+        ).to.be.eql('kubeless.io/v1beta1');
+      })).to.be.fulfilled;
+    });
     it('should deploy a function (nodejs)', () => {
       handlerFile = path.join(cwd, 'function.js');
       depsFile = path.join(cwd, 'package.json');
@@ -441,6 +746,51 @@ describe('KubelessDeploy', () => {
       ).to.be.a('function');
       return result;
     });
+    it('should deploy a function (go)', () => {
+      handlerFile = path.join(cwd, 'function.go');
+      depsFile = path.join(cwd, 'Gopkg.toml');
+      fs.writeFileSync(handlerFile, 'go function code');
+      fs.writeFileSync(depsFile, 'go function deps');
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, _.defaultsDeep(
+        { service: { provider: { runtime: 'go1.10' } } },
+        serverlessWithFunction
+      ));
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec).to.be.eql({
+          deps: 'go function deps',
+          function: 'go function code',
+          handler: 'function.hello',
+          runtime: 'go1.10',
+          type: 'HTTP',
+        });
+      })).to.be.fulfilled;
+    });
+    it('should deploy a function with a runtime of the service', () => {
+      handlerFile = path.join(cwd, 'src', 'function.rs');
+      fs.mkdirSync(path.join(cwd, 'src'));
+      fs.writeFileSync(handlerFile, 'rust function code');
+      kubelessDeploy = new KubelessDeploy(_.defaultsDeep({
+        service: {
+          provider: {
+            runtime: 'rust1.26',
+            runtimes: { rust: { file: 'src/{module}.rs' } },
+          },
+        },
+      }, serverlessWithFunction));
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      sinon.stub(kubelessDeploy, 'waitForDeployment');
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec).to.be.eql({
+          deps: '',
+          function: 'rust function code',
+          handler: 'function.hello',
+          runtime: 'rust1.26',
+          type: 'HTTP',
+        });
+        rm(path.join(cwd, 'src'));
+      })).to.be.fulfilled;
+    });
     it('should deploy a function in a custom namespace (in the provider section)', () => {
       const serverlessWithCustomNamespace = _.cloneDeep(serverlessWithFunction);
       serverlessWithCustomNamespace.service.provider.namespace = 'custom';
@@ -526,6 +876,49 @@ describe('KubelessDeploy', () => {
       }
       return result;
     });
+    it('should deploy binary content encoded in base64', () => {
+      const content = Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x00, 0xff]);
+      fs.writeFileSync(handlerFile, content);
+      kubelessDeploy = new KubelessDeploy(serverlessWithFunction);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      sinon.stub(kubelessDeploy, 'waitForDeployment');
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        const spec = thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec;
+        expect(spec['function-content-type']).to.be.eql('base64');
+        expect(Buffer.from(spec.function, 'base64').equals(content)).to.be.eql(true);
+      })).to.be.fulfilled;
+    });
+    it('should skip the deployment of binary content already deployed', () => {
+      const content = Buffer.from([0xde, 0xad, 0xbe, 0xef]);
+      fs.writeFileSync(handlerFile, content);
+      kubelessDeploy = new KubelessDeploy(serverlessWithFunction);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      sinon.stub(kubelessDeploy, 'waitForDeployment');
+      thirdPartyResources.ns.functions.get.callsFake((ff) => {
+        ff(null, {
+          items: [{
+            metadata: { name: functionName, creationTimestamp: moment() },
+            spec: {
+              deps: '',
+              function: content.toString('base64'),
+              'function-content-type': 'base64',
+              handler: 'function.hello',
+              runtime: 'python2.7',
+              type: 'HTTP',
+            },
+          }],
+        });
+      });
+      sinon.stub(serverlessWithFunction.cli, 'log');
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(serverlessWithFunction.cli.log.lastCall.args).to.be.eql([
+          `Function ${functionName} has not changed. Skipping deployment`,
+        ]);
+        expect(thirdPartyResources.ns.functions.post.callCount).to.be.eql(0);
+      }).finally(() => {
+        serverlessWithFunction.cli.log.restore();
+      })).to.be.fulfilled;
+    });
     it('should skip a deployment if an error 409 is returned', () => {
       thirdPartyResources.ns.functions.post.callsFake((data, ff) => {
         ff({ code: 409 });
@@ -571,6 +964,223 @@ describe('KubelessDeploy', () => {
       ).to.be.a('function');
       return result;
     });
+    it('should only deploy the topic of the trigger of a function', () => {
+      const serverlessWithTrigger = _.cloneDeep(serverlessWithFunction);
+      serverlessWithTrigger.service.functions[functionName].events = [{
+        trigger: {
+          topic: 'topic',
+          partitions: 3,
+          replicationFactor: 2,
+        },
+      }];
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithTrigger);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec).to.be.eql({
+          deps: '',
+          function: 'function code',
+          handler: 'function.hello',
+          runtime: 'python2.7',
+          type: 'PubSub',
+          topic: 'topic',
+        });
+      })).to.be.fulfilled;
+    });
+    it('should only deploy the topic of the extra triggers of a function', () => {
+      const serverlessWithTrigger = _.cloneDeep(serverlessWithFunction);
+      serverlessWithTrigger.service.functions[functionName].events = [
+        { http: {} },
+        { trigger: { topic: 'topic', partitions: 3 } },
+      ];
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithTrigger);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      sinon.stub(kubelessDeploy.provider, 'usesCustomResources').returns(true);
+      const post = sinon.stub().callsFake((data, ff) => ff(null, { statusCode: 200 }));
+      sinon.stub(kubelessDeploy.provider, 'getKafkaTriggers').returns({
+        ns: { kafkatriggers: { post } },
+      });
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(post.firstCall.args[0].body.spec).to.be.eql({
+          functionSelector: { matchLabels: { function: functionName } },
+          topic: 'topic',
+        });
+      })).to.be.fulfilled;
+    });
+    it('should deploy the autoscaler of a function', () => {
+      const serverlessWithAutoscaling = _.cloneDeep(serverlessWithFunction);
+      serverlessWithAutoscaling.service.functions[functionName].autoscaling = {
+        maxReplicas: 10,
+        targetCPU: 70,
+      };
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithAutoscaling);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      const autoscalers = sinon.stub();
+      autoscalers.post = sinon.stub().callsFake((data, ff) => ff(null, { statusCode: 200 }));
+      kubelessDeploy.provider.getAutoscaling.returns({
+        ns: { horizontalpodautoscalers: autoscalers },
+      });
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(kubelessDeploy.provider.getAutoscaling.firstCall.args).to.be.eql(['default', 'v1']);
+        expect(autoscalers.post.firstCall.args[0].body).to.be.eql({
+          apiVersion: 'autoscaling/v1',
+          kind: 'HorizontalPodAutoscaler',
+          metadata: {
+            name: functionName,
+            namespace: 'default',
+            labels: { function: functionName },
+          },
+          spec: {
+            scaleTargetRef: {
+              apiVersion: 'extensions/v1beta1',
+              kind: 'Deployment',
+              name: functionName,
+            },
+            minReplicas: 1,
+            maxReplicas: 10,
+            targetCPUUtilizationPercentage: 70,
+          },
+        });
+      })).to.be.fulfilled;
+    });
+    it('should update the autoscaler of a function scaling with a custom metric', () => {
+      const serverlessWithAutoscaling = _.cloneDeep(serverlessWithFunction);
+      serverlessWithAutoscaling.service.functions[functionName].autoscaling = {
+        minReplicas: 2,
+        maxReplicas: 10,
+        metric: { name: 'http_requests', target: 100 },
+      };
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithAutoscaling);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      const put = sinon.stub().callsFake((data, ff) => ff(null, { statusCode: 200 }));
+      const autoscalers = sinon.stub().returns({ put });
+      autoscalers.post = sinon.stub().callsFake((data, ff) => ff({ code: 409 }));
+      kubelessDeploy.provider.getAutoscaling.returns({
+        ns: { horizontalpodautoscalers: autoscalers },
+      });
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(kubelessDeploy.provider.getAutoscaling.firstCall.args[1]).to.be.eql('v2beta1');
+        expect(autoscalers.firstCall.args).to.be.eql([functionName]);
+        expect(put.firstCall.args[0].body.spec.metrics).to.be.eql([{
+          type: 'Pods',
+          pods: { metricName: 'http_requests', targetAverageValue: '100' },
+        }]);
+      })).to.be.fulfilled;
+    });
+    it('should deploy a function with its replicas', () => {
+      const serverlessWithReplicas = _.cloneDeep(serverlessWithFunction);
+      serverlessWithReplicas.service.provider.replicas = 2;
+      serverlessWithReplicas.service.functions[functionName].replicas = 3;
+      serverlessWithReplicas.service.functions.otherFunction = {
+        handler: 'function.hello',
+        events: [{ http: { path: '/other' } }],
+      };
+      serverlessWithReplicas.service.functions.scaledFunction = {
+        handler: 'function.hello',
+        events: [{ http: { path: '/scaled' } }],
+        autoscaling: { maxReplicas: 10 },
+      };
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithReplicas);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      mocks.extensions(kubelessDeploy);
+      sinon.stub(kubelessDeploy.provider, 'usesCustomResources').returns(true);
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        const specs = _.fromPairs(_.map(thirdPartyResources.ns.functions.post.args, args => [
+          args[0].body.metadata.name,
+          args[0].body.spec,
+        ]));
+        expect(specs[functionName].deployment).to.be.eql({ spec: { replicas: 3 } });
+        expect(specs.otherFunction.deployment).to.be.eql({ spec: { replicas: 2 } });
+        expect(specs.scaledFunction.deployment).to.be.eql(undefined);
+      })).to.be.fulfilled;
+    });
+    it('should fail to set the replicas in clusters without CRDs', () => {
+      const serverlessWithReplicas = _.cloneDeep(serverlessWithFunction);
+      serverlessWithReplicas.service.functions[functionName].replicas = 3;
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithReplicas);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      return expect(kubelessDeploy.deployFunction()).to.be.rejectedWith(
+        'The functions myFunction set their replicas. ' +
+        'Setting the replicas requires a Kubeless version that uses CustomResourceDefinitions'
+      ).then(() => {
+        expect(thirdPartyResources.ns.functions.post.called).to.be.eql(false);
+      });
+    });
+    it('should only scale a function if its replicas changed', () => {
+      const serverlessWithReplicas = _.cloneDeep(serverlessWithFunction);
+      serverlessWithReplicas.service.functions[functionName].replicas = 3;
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithReplicas);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      sinon.stub(kubelessDeploy.provider, 'usesCustomResources').returns(true);
+      sinon.stub(kubelessDeploy, 'getExtensions');
+      return expect(kubelessDeploy.getPackage(functionName).then(pkg => {
+        thirdPartyResources.ns.functions.get.callsFake((ff) => {
+          ff(null, {
+            items: [{
+              metadata: { name: functionName },
+              spec: _.assign({
+                deps: '',
+                handler: 'function.hello',
+                runtime: 'python2.7',
+                type: 'HTTP',
+                deployment: { spec: { replicas: 1 } },
+              }, kubelessDeploy.getZipContent(pkg)),
+            }],
+          });
+        });
+        return kubelessDeploy.deployFunction();
+      }).then(() => {
+        expect(thirdPartyResources.ns.functions.post.called).to.be.eql(false);
+        expect(thirdPartyResources.ns.functions().put.firstCall.args[0].body.spec.deployment)
+          .to.be.eql({ spec: { replicas: 3 } });
+        expect(kubelessDeploy.waitForDeployment.called).to.be.eql(false);
+        expect(kubelessDeploy.getExtensions.called).to.be.eql(false);
+      })).to.be.fulfilled;
+    });
+    it('should remove the autoscaler of a function that does not autoscale anymore', () => {
+      const autoscalers = sinon.stub();
+      autoscalers.delete = sinon.stub().callsFake((name, ff) => ff(null, { statusCode: 200 }));
+      kubelessDeploy.provider.getAutoscaling.returns({
+        ns: { horizontalpodautoscalers: autoscalers },
+      });
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(kubelessDeploy.provider.getAutoscaling.firstCall.args).to.be.eql(['default', 'v1']);
+        expect(autoscalers.delete.firstCall.args[0]).to.be.eql(functionName);
+      })).to.be.fulfilled;
+    });
+    it('should fail if the autoscaler of a function can\'t be removed', () => {
+      const autoscalers = sinon.stub();
+      autoscalers.delete = sinon.stub().callsFake((name, ff) => {
+        ff({ code: 403, message: 'Forbidden' });
+      });
+      kubelessDeploy.provider.getAutoscaling.returns({
+        ns: { horizontalpodautoscalers: autoscalers },
+      });
+      return expect(kubelessDeploy.deployFunction()).to.be.rejectedWith(
+        'Unable to remove the autoscaler of myFunction. Received:\n' +
+        '  Code: 403\n' +
+        '  Message: Forbidden'
+      );
+    });
+    it('should deploy a scheduled function', () => {
+      const serverlessWithSchedule = _.cloneDeep(serverlessWithFunction);
+      serverlessWithSchedule.service.functions[functionName].events = [
+        { schedule: '*/5 * * * *' },
+      ];
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithSchedule);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      const extensions = mocks.extensions(kubelessDeploy);
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec).to.be.eql({
+          deps: '',
+          function: 'function code',
+          handler: 'function.hello',
+          runtime: 'python2.7',
+          type: 'Scheduled',
+          schedule: '*/5 * * * *',
+        });
+        expect(extensions.ns.ingress.post.called).to.be.eql(false);
+      })).to.be.fulfilled;
+    });
     it('should deploy a function with a description', () => {
       const serverlessWithCustomNamespace = _.cloneDeep(serverlessWithFunction);
       const desc = 'Test Description';
@@ -634,6 +1244,56 @@ describe('KubelessDeploy', () => {
       ]);
       return result;
     });
+    it('should deploy a function with variables from secrets and config maps', () => {
+      const serverlessWithEnvVars = _.cloneDeep(serverlessWithFunction);
+      serverlessWithEnvVars.service.provider.environment = { STAGE: 'dev' };
+      serverlessWithEnvVars.service.provider.envFrom = [{ configMapRef: { name: 'common' } }];
+      serverlessWithEnvVars.service.functions[functionName].environment = {
+        PASSWORD: { secretKeyRef: { name: 'db', key: 'password' } },
+      };
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithEnvVars);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(
+          thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec.template.spec.containers
+        ).to.be.eql([{
+          name: functionName,
+          env: [
+            { name: 'STAGE', value: 'dev' },
+            { name: 'PASSWORD', valueFrom: { secretKeyRef: { name: 'db', key: 'password' } } },
+          ],
+          envFrom: [{ configMapRef: { name: 'common' } }],
+        }]);
+      })).to.be.fulfilled;
+    });
+    it('should deploy a function with its secrets and volumes', () => {
+      const serverlessWithVolumes = _.cloneDeep(serverlessWithFunction);
+      serverlessWithVolumes.service.functions[functionName].secrets = ['tls'];
+      serverlessWithVolumes.service.functions[functionName].volumes = [
+        { name: 'models', persistentVolumeClaim: { claimName: 'models' }, mountPath: '/models' },
+      ];
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithVolumes);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(
+          thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec.template
+        ).to.be.eql({
+          spec: {
+            containers: [{
+              name: functionName,
+              volumeMounts: [
+                { name: 'tls-vol', mountPath: '/tls' },
+                { name: 'models', mountPath: '/models' },
+              ],
+            }],
+            volumes: [
+              { name: 'tls-vol', secret: { secretName: 'tls' } },
+              { name: 'models', persistentVolumeClaim: { claimName: 'models' } },
+            ],
+          },
+        });
+      })).to.be.fulfilled;
+    });
     it('should deploy a function with a memory limit', () => {
       const serverlessWithEnvVars = _.cloneDeep(serverlessWithFunction);
       serverlessWithEnvVars.service.functions[functionName].memorySize = 128;
@@ -686,6 +1346,29 @@ describe('KubelessDeploy', () => {
       ]);
       return result;
     });
+    it('should deploy a function with CPU and memory requests and limits', () => {
+      const serverlessWithResources = _.cloneDeep(serverlessWithFunction);
+      serverlessWithResources.service.provider.cpu = 0.5;
+      serverlessWithResources.service.provider.memorySize = 256;
+      serverlessWithResources.service.functions[functionName].resources = {
+        requests: { memory: 128, cpu: '100m' },
+      };
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithResources);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(
+          thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec.template.spec.containers
+        ).to.be.eql([
+          {
+            name: functionName,
+            resources: {
+              limits: { memory: '256Mi', cpu: '500m' },
+              requests: { memory: '128Mi', cpu: '100m' },
+            },
+          },
+        ]);
+      })).to.be.fulfilled;
+    });
     it('should deploy a function in a specific path', () => {
       const serverlessWithCustomPath = _.cloneDeep(serverlessWithFunction);
       serverlessWithCustomPath.service.functions[functionName].events = [{
@@ -863,7 +1546,7 @@ describe('KubelessDeploy', () => {
       mocks.extensions(kubelessDeploy, 'custom');
       const result = expect( // eslint-disable-line no-unused-expressions
         kubelessDeploy.deployFunction().then(() => {
-          expect(kubelessDeploy.getExtensions.firstCall.args[0].namespace).to.be.eql('custom');
+          expect(kubelessDeploy.getExtensions.firstCall.args[0]).to.be.eql('custom');
         })
       ).to.be.fulfilled;
       return result;
@@ -888,6 +1571,104 @@ describe('KubelessDeploy', () => {
         })).to.be.fulfilled;
       return result;
     });
+    it('should deploy a function in several paths and hostnames', () => {
+      const serverlessWithEvents = _.cloneDeep(serverlessWithFunction);
+      serverlessWithEvents.service.functions[functionName].events = [
+        { http: { path: '/test' } },
+        { http: { path: 'other' } },
+        { http: { hostname: 'example.com', path: '/test' } },
+      ];
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithEvents);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      const extensions = mocks.extensions(kubelessDeploy);
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        expect(thirdPartyResources.ns.functions.post.calledOnce).to.be.eql(true);
+        expect(
+          thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec.type
+        ).to.be.eql('HTTP');
+        expect(extensions.ns.ingress.post.calledOnce).to.be.eql(true);
+        const backend = { serviceName: functionName, servicePort: 8080 };
+        expect(extensions.ns.ingress.post.firstCall.args[0].body.spec.rules).to.be.eql([
+          {
+            host: '1.2.3.4.nip.io',
+            http: { paths: [{ path: '/test', backend }, { path: '/other', backend }] },
+          },
+          {
+            host: 'example.com',
+            http: { paths: [{ path: '/test', backend }] },
+          },
+        ]);
+      })).to.be.fulfilled;
+    });
+    it('should deploy a trigger for every extra topic of a function', () => {
+      const serverlessWithEvents = _.cloneDeep(serverlessWithFunction);
+      serverlessWithEvents.service.functions[functionName].labels = { env: 'test' };
+      serverlessWithEvents.service.functions[functionName].events = [
+        { trigger: 'topic1' },
+        { http: { path: '/test' } },
+        { trigger: 'my_topic.2' },
+      ];
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithEvents);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      mocks.extensions(kubelessDeploy);
+      sinon.stub(kubelessDeploy.provider, 'usesCustomResources').returns(true);
+      const kafkaTriggers = {
+        ns: {
+          kafkatriggers: {
+            post: sinon.stub().callsFake((data, ff) => ff(null, { statusCode: 200 })),
+          },
+        },
+      };
+      sinon.stub(kubelessDeploy.provider, 'getKafkaTriggers').returns(kafkaTriggers);
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        const body = thirdPartyResources.ns.functions.post.firstCall.args[0].body;
+        expect(body.spec.type).to.be.eql('HTTP');
+        expect(body.metadata.labels).to.be.eql({ env: 'test', function: functionName });
+        expect(kubelessDeploy.provider.getKafkaTriggers.firstCall.args).to.be.eql(['default']);
+        expect(_.map(kafkaTriggers.ns.kafkatriggers.post.args, '0.body')).to.be.eql([
+          {
+            apiVersion: 'kubeless.io/v1beta1',
+            kind: 'KafkaTrigger',
+            metadata: {
+              name: 'myfunction-topic1',
+              namespace: 'default',
+              labels: { function: functionName },
+            },
+            spec: {
+              functionSelector: { matchLabels: { function: functionName } },
+              topic: 'topic1',
+            },
+          },
+          {
+            apiVersion: 'kubeless.io/v1beta1',
+            kind: 'KafkaTrigger',
+            metadata: {
+              name: 'myfunction-my-topic.2',
+              namespace: 'default',
+              labels: { function: functionName },
+            },
+            spec: {
+              functionSelector: { matchLabels: { function: functionName } },
+              topic: 'my_topic.2',
+            },
+          },
+        ]);
+      })).to.be.fulfilled;
+    });
+    it('should fail to combine topics with other events in clusters without CRDs', () => {
+      const serverlessWithEvents = _.cloneDeep(serverlessWithFunction);
+      serverlessWithEvents.service.functions[functionName].events = [
+        { http: { path: '/test' } },
+        { trigger: 'topic' },
+      ];
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithEvents);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      return expect(kubelessDeploy.deployFunction()).to.be.rejectedWith(
+        'The functions myFunction have several event sources'
+      ).then(() => {
+        expect(thirdPartyResources.ns.functions.post.called).to.be.eql(false);
+      });
+    });
     it('should fail if a deployment returns an error code', () => {
       thirdPartyResources.ns.functions.post.callsFake((data, ff) => {
         ff({ code: 500, message: 'Internal server error' });
@@ -1020,6 +1801,208 @@ describe('KubelessDeploy', () => {
       ).to.be.eql('request');
       return result;
     });
+    it('should deploy the included files as a zip', () => {
+      const serverlessWithInclude = _.cloneDeep(serverlessWithFunction);
+      serverlessWithInclude.service.package = {
+        exclude: ['**'],
+        include: ['function.py', 'lib/**'],
+      };
+      fs.mkdirSync(path.join(cwd, 'lib'));
+      fs.writeFileSync(path.join(cwd, 'lib', 'util.py'), 'util code');
+      kubelessDeploy = instantiateKubelessDeploy(handlerFile, depsFile, serverlessWithInclude);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      sinon.stub(kubelessDeploy.provider, 'usesCustomResources').returns(true);
+      return expect(kubelessDeploy.deployFunction().then(() => {
+        const spec = thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec;
+        expect(spec['function-content-type']).to.be.eql('base64+zip');
+        expect(spec.checksum).to.match(/^sha256:[0-9a-f]{64}$/);
+        expect(spec.handler).to.be.eql('function.hello');
+        return JSZip.loadAsync(Buffer.from(spec.function, 'base64'));
+      }).then(zip => {
+        expect(_.keys(zip.files)).to.be.eql(['function.py', 'lib/util.py']);
+        rm(path.join(cwd, 'lib'));
+      })).to.be.fulfilled;
+    });
+    it('should deploy the given package as a zip', () => {
+      const pkg = path.join(cwd, 'artifact.zip');
+      const artifact = new JSZip();
+      artifact.file('function.py', 'function code');
+      artifact.file('lib/util.py', 'util code');
+      return expect(artifact.generateAsync({ type: 'nodebuffer' }).then(content => {
+        fs.writeFileSync(pkg, content);
+        kubelessDeploy = new KubelessDeploy(serverlessWithFunction, { package: pkg });
+        thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+        sinon.stub(kubelessDeploy.provider, 'usesCustomResources').returns(true);
+        sinon.stub(kubelessDeploy, 'getFunctionContent').returns(BbPromise.resolve('request'));
+        return kubelessDeploy.deployFunction();
+      }).then(() => {
+        const spec = thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec;
+        expect(spec.deps).to.be.eql('request');
+        expect(spec['function-content-type']).to.be.eql('base64+zip');
+        expect(kubelessDeploy.getFunctionContent.calledOnce).to.be.eql(true);
+        fs.unlinkSync(pkg);
+        return JSZip.loadAsync(Buffer.from(spec.function, 'base64'));
+      }).then(zip => {
+        expect(_.keys(zip.files)).to.be.eql(['function.py', 'lib/util.py']);
+      })).to.be.fulfilled;
+    });
+    it('should deploy the same zip from the given package and the service files', () => {
+      const serverlessWithInclude = _.cloneDeep(serverlessWithFunction);
+      serverlessWithInclude.service.package = { exclude: ['**'], include: ['function.py'] };
+      const pkg = path.join(cwd, 'artifact.zip');
+      const artifact = new JSZip();
+      artifact.file('function.py', 'function code');
+      const deploy = options => {
+        const deployment = instantiateKubelessDeploy(
+          handlerFile,
+          depsFile,
+          serverlessWithInclude,
+          options
+        );
+        const functions = mocks.thirdPartyResources(deployment);
+        sinon.stub(deployment.provider, 'usesCustomResources').returns(true);
+        return deployment.deployFunction().then(() => (
+          functions.ns.functions.post.firstCall.args[0].body.spec
+        ));
+      };
+      return expect(artifact.generateAsync({ type: 'nodebuffer' }).then(content => {
+        fs.writeFileSync(pkg, content);
+        return deploy({ package: pkg });
+      }).then(artifactSpec => deploy().then(serviceSpec => {
+        expect(artifactSpec['function-content-type']).to.be.eql('base64+zip');
+        expect(artifactSpec).to.be.eql(serviceSpec);
+        fs.unlinkSync(pkg);
+      }))).to.be.fulfilled;
+    });
+    it('should deploy the same zip from the service files and its default package', () => {
+      const serverlessWithExclude = _.cloneDeep(serverlessWithFunction);
+      serverlessWithExclude.service.package = { exclude: ['.kube/**', 'docs/**'] };
+      fs.mkdirSync(path.join(cwd, 'lib'));
+      fs.writeFileSync(path.join(cwd, 'lib', 'util.py'), 'util code');
+      fs.mkdirSync(path.join(cwd, 'docs'));
+      fs.writeFileSync(path.join(cwd, 'docs', 'notes.md'), 'notes');
+      const pkg = path.join(cwd, '..', `${path.basename(cwd)}.zip`);
+      // The artifact Serverless builds with the same settings
+      const artifact = new JSZip();
+      _.each(packaging.listFiles(cwd, packaging.getPatterns(serverlessWithExclude.service.package)),
+        file => artifact.file(file, fs.readFileSync(path.join(cwd, file)))
+      );
+      const deploy = options => {
+        const deployment = instantiateKubelessDeploy(
+          handlerFile,
+          depsFile,
+          serverlessWithExclude,
+          options
+        );
+        const functions = mocks.thirdPartyResources(deployment);
+        sinon.stub(deployment.provider, 'usesCustomResources').returns(true);
+        return deployment.deployFunction().then(() => (
+          functions.ns.functions.post.firstCall.args[0].body.spec
+        ));
+      };
+      return expect(deploy().then(serviceSpec => (
+        artifact.generateAsync({ type: 'nodebuffer' }).then(content => {
+          fs.writeFileSync(pkg, content);
+          return deploy({ package: pkg });
+        }).then(artifactSpec => {
+          expect(serviceSpec['function-content-type']).to.be.eql('base64+zip');
+          expect(artifactSpec).to.be.eql(serviceSpec);
+          return JSZip.loadAsync(Buffer.from(serviceSpec.function, 'base64'));
+        })
+      )).then(zip => {
+        expect(_.keys(zip.files)).to.include.members(['function.py', 'lib/util.py']);
+        expect(_.keys(zip.files)).to.not.include('docs/notes.md');
+      }).finally(() => {
+        fs.unlinkSync(pkg);
+        rm(path.join(cwd, 'lib'));
+        rm(path.join(cwd, 'docs'));
+      })).to.be.fulfilled;
+    });
+    it('should read every function from its own package', () => {
+      const serverlessWithArtifacts = _.cloneDeep(serverlessWithFunction);
+      serverlessWithArtifacts.service.functions = {
+        nodeFunction: { handler: 'handler.hello', package: { artifact: 'node.zip' } },
+        pythonFunction: { handler: 'handler.hello', package: { artifact: 'python.zip' } },
+      };
+      const nodeArtifact = new JSZip();
+      nodeArtifact.file('handler.py', 'node build');
+      const pythonArtifact = new JSZip();
+      // Zips of other tools may prefix the files with "./"
+      pythonArtifact.file('./handler.py', 'python build');
+      return expect(BbPromise.all([
+        nodeArtifact.generateAsync({ type: 'nodebuffer' }),
+        pythonArtifact.generateAsync({ type: 'nodebuffer' }),
+      ]).then(artifacts => {
+        fs.writeFileSync(path.join(cwd, 'node.zip'), artifacts[0]);
+        fs.writeFileSync(path.join(cwd, 'python.zip'), artifacts[1]);
+        kubelessDeploy = new KubelessDeploy(serverlessWithArtifacts);
+        thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+        sinon.stub(kubelessDeploy, 'waitForDeployment');
+        return kubelessDeploy.deployFunction();
+      }).then(() => {
+        const specs = _.map(thirdPartyResources.ns.functions.post.args, '0.body.spec.function');
+        expect(specs.sort()).to.be.eql(['node build', 'python build']);
+        fs.unlinkSync(path.join(cwd, 'node.zip'));
+        fs.unlinkSync(path.join(cwd, 'python.zip'));
+      })).to.be.fulfilled;
+    });
+    it('should read the packages of the functions packaged individually', () => {
+      const serverlessIndividually = _.cloneDeep(serverlessWithFunction);
+      serverlessIndividually.service.package = { individually: true };
+      const artifact = new JSZip();
+      artifact.file('function.py', 'packaged code');
+      fs.mkdirSync(path.join(cwd, 'artifacts'));
+      return expect(artifact.generateAsync({ type: 'nodebuffer' }).then(content => {
+        fs.writeFileSync(path.join(cwd, 'artifacts', `${functionName}.zip`), content);
+        kubelessDeploy = new KubelessDeploy(serverlessIndividually, {
+          package: path.join(cwd, 'artifacts'),
+        });
+        thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+        sinon.stub(kubelessDeploy, 'waitForDeployment');
+        return kubelessDeploy.deployFunction();
+      }).then(() => {
+        expect(
+          thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec.function
+        ).to.be.eql('packaged code');
+        rm(path.join(cwd, 'artifacts'));
+      })).to.be.fulfilled;
+    });
+    it('should deploy the whole package of a function packaged individually as a zip', () => {
+      const serverlessIndividually = _.cloneDeep(serverlessWithFunction);
+      serverlessIndividually.service.package = { individually: true };
+      const artifact = new JSZip();
+      artifact.file('function.py', 'packaged code');
+      artifact.file('helpers/db.py', 'helper code');
+      artifact.file('requirements.txt', 'request');
+      fs.mkdirSync(path.join(cwd, 'artifacts'));
+      return expect(artifact.generateAsync({ type: 'nodebuffer' }).then(content => {
+        fs.writeFileSync(path.join(cwd, 'artifacts', `${functionName}.zip`), content);
+        kubelessDeploy = new KubelessDeploy(serverlessIndividually, {
+          package: path.join(cwd, 'artifacts'),
+        });
+        thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+        sinon.stub(kubelessDeploy.provider, 'usesCustomResources').returns(true);
+        sinon.stub(kubelessDeploy, 'waitForDeployment');
+        return kubelessDeploy.deployFunction();
+      }).then(() => {
+        const spec = thirdPartyResources.ns.functions.post.firstCall.args[0].body.spec;
+        expect(spec['function-content-type']).to.be.eql('base64+zip');
+        expect(spec.deps).to.be.eql('request');
+        rm(path.join(cwd, 'artifacts'));
+        return JSZip.loadAsync(Buffer.from(spec.function, 'base64'));
+      }).then(zip => {
+        expect(_.keys(zip.files)).to.be.eql(['function.py', 'helpers/db.py', 'requirements.txt']);
+      })).to.be.fulfilled;
+    });
+    it('should not deploy a handler excluded from the package', () => {
+      const serverlessWithExclude = _.cloneDeep(serverlessWithFunction);
+      serverlessWithExclude.service.package = { exclude: ['*.py'] };
+      kubelessDeploy = new KubelessDeploy(serverlessWithExclude);
+      thirdPartyResources = mocks.thirdPartyResources(kubelessDeploy);
+      return expect(kubelessDeploy.deployFunction()).to.be.rejectedWith(
+        'The file function.py is excluded from the package'
+      );
+    });
     it('should redeploy a function', () => {
       thirdPartyResources.ns.functions.get.callsFake((ff) => {
         ff(null, {
@@ -17,6 +17,7 @@
 'use strict';
 
 const _ = require('lodash');
+const BbPromise = require('bluebird');
 const chaiAsPromised = require('chai-as-promised');
 const expect = require('chai').expect;
 const fs = require('fs');
@@ -141,4 +142,27 @@ describe('KubelessDeployFunction', () => {
       return result;
     });
   });
+  describe('#hooks', () => {
+    it('should only create the topics of the chosen function', () => {
+      const kubelessDeployFunction = new KubelessDeployFunction(_.defaultsDeep({
+        service: {
+          provider: { autoCreateTopics: true },
+          functions: {
+            myFunction: { handler: 'function.hello', events: [{ trigger: 'topic' }] },
+            otherFunction: { handler: 'function.hello', events: [{ trigger: 'other' }] },
+          },
+        },
+      }, serverless), { function: functionName });
+      sinon.stub(kubelessDeployFunction.provider, 'forEachCluster').callsFake(action => action());
+      sinon.stub(kubelessDeployFunction, 'checkRuntime').returns(BbPromise.resolve());
+      sinon.stub(kubelessDeployFunction, 'createTopicsIfNecessary').returns(BbPromise.resolve());
+      sinon.stub(kubelessDeployFunction, 'deployFunction').returns(BbPromise.resolve());
+      return kubelessDeployFunction.hooks['deploy:function:deploy']().then(() => {
+        expect(kubelessDeployFunction.createTopicsIfNecessary.firstCall.args).to.be.eql([{
+          myFunction: { handler: 'function.hello', events: [{ trigger: 'topic' }] },
+        }]);
+        expect(kubelessDeployFunction.deployFunction.calledOnce).to.be.eql(true);
+      });
+    });
+  });
 });
@@ -0,0 +1,191 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+const Api = require('kubernetes-client');
+const BbPromise = require('bluebird');
+const chalk = require('chalk');
+const chaiAsPromised = require('chai-as-promised');
+const expect = require('chai').expect;
+const helpers = require('../lib/helpers');
+const loadKubeConfig = require('./lib/load-kube-config');
+const sinon = require('sinon');
+
+const KubelessDoctor = require('../doctor/kubelessDoctor');
+const serverless = require('./lib/serverless')();
+
+require('chai').use(chaiAsPromised);
+
+describe('KubelessDoctor', () => {
+  describe('#constructor', () => {
+    const options = { test: 1 };
+    const kubelessDoctor = new KubelessDoctor(serverless, options);
+    it('should set the serverless instance', () => {
+      expect(kubelessDoctor.serverless).to.be.eql(serverless);
+    });
+    it('should set options if provided', () => {
+      expect(kubelessDoctor.options).to.be.eql(options);
+    });
+    it('should define the doctor command', () => {
+      expect(kubelessDoctor.commands.kubeless.commands.doctor).to.not.be.eql(undefined);
+    });
+    it('should run promise chain in order', () => {
+      const validateStub = sinon.stub(kubelessDoctor, 'validate').returns(BbPromise.resolve());
+      const checksStub = sinon.stub(kubelessDoctor, 'runChecks').returns(BbPromise.resolve());
+      return kubelessDoctor.hooks['kubeless:doctor:doctor']().then(() => {
+        expect(validateStub.calledOnce).to.be.equal(true);
+        expect(checksStub.calledAfter(validateStub)).to.be.equal(true);
+        kubelessDoctor.validate.restore();
+        kubelessDoctor.runChecks.restore();
+      });
+    });
+  });
+  describe('#runChecks', () => {
+    let responses = null;
+    let reviews = null;
+    let chalkEnabled = null;
+    function running(namespace, name) {
+      return { metadata: { namespace, name }, status: { phase: 'Running' } };
+    }
+    beforeEach(() => {
+      process.exitCode = 0;
+      reviews = [];
+      // Compare the results without colors
+      chalkEnabled = chalk.enabled;
+      chalk.enabled = false;
+      responses = {
+        '/api': { statusCode: 200, body: { versions: ['v1'] } },
+        '/apis/kubeless.io/v1beta1': { statusCode: 404, body: {} },
+        '/apis/k8s.io/v1': { statusCode: 200, body: { resources: [{ name: 'functions' }] } },
+        '/api/v1/namespaces/kubeless/pods': {
+          statusCode: 200,
+          body: { items: [running('kubeless', 'kubeless-controller-1234')] },
+        },
+        '/api/v1/pods': {
+          statusCode: 200,
+          body: {
+            items: [
+              running('kubeless', 'kubeless-controller-1234'),
+              running('kube-system', 'nginx-ingress-controller-1234'),
+            ],
+          },
+        },
+      };
+      sinon.stub(helpers, 'loadKubeConfig').callsFake(loadKubeConfig);
+      sinon.stub(Api.Core.prototype, 'get').callsFake((opts, ff) => {
+        ff(null, responses[opts.path] || { statusCode: 404, body: {} });
+      });
+      sinon.stub(Api.Core.prototype, 'post').callsFake((opts, ff) => {
+        reviews.push(opts.body.spec.resourceAttributes);
+        ff(null, { statusCode: 201, body: { status: { allowed: true } } });
+      });
+      sinon.stub(serverless.cli, 'consoleLog');
+    });
+    afterEach(() => {
+      helpers.loadKubeConfig.restore();
+      Api.Core.prototype.get.restore();
+      Api.Core.prototype.post.restore();
+      serverless.cli.consoleLog.restore();
+      chalk.enabled = chalkEnabled;
+      process.exitCode = 0;
+    });
+    it('should pass every check in a healthy cluster', () => {
+      const kubelessDoctor = new KubelessDoctor(serverless);
+      return kubelessDoctor.runChecks().then(results => {
+        expect(_.map(results, 'success')).to.be.eql([true, true, true, true, true, true, true]);
+        expect(serverless.cli.consoleLog.firstCall.args[0]).to.be.eql(
+          '[PASS] API server reachable at http://1.2.3.4:4433'
+        );
+        expect(serverless.cli.consoleLog.secondCall.args[0]).to.be.eql(
+          '[PASS] Function resource registered (k8s.io/v1)'
+        );
+        expect(reviews).to.be.eql([
+          { namespace: 'default', verb: 'create', group: 'k8s.io', resource: 'functions' },
+          { namespace: 'default', verb: 'create', group: 'extensions', resource: 'ingresses' },
+          { namespace: 'default', verb: 'create', group: '', resource: 'pods' },
+        ]);
+        expect(process.exitCode).to.be.eql(0);
+      });
+    });
+    it('should detect the Function resource served as a CRD', () => {
+      responses['/apis/kubeless.io/v1beta1'] = responses['/apis/k8s.io/v1'];
+      const kubelessDoctor = new KubelessDoctor(serverless);
+      return kubelessDoctor.runChecks().then(() => {
+        expect(serverless.cli.consoleLog.secondCall.args[0]).to.be.eql(
+          '[PASS] Function resource registered (kubeless.io/v1beta1)'
+        );
+        expect(reviews[0].group).to.be.eql('kubeless.io');
+      });
+    });
+    it('should fail with a hint if kubeless is not installed', () => {
+      responses['/apis/k8s.io/v1'] = { statusCode: 404, body: {} };
+      responses['/api/v1/namespaces/kubeless/pods'].body.items = [];
+      const kubelessDoctor = new KubelessDoctor(serverless);
+      return kubelessDoctor.runChecks().then(results => {
+        expect(results[1].success).to.be.eql(false);
+        expect(serverless.cli.consoleLog.secondCall.args[0]).to.be.eql(
+          '[FAIL] Function resource not registered\n' +
+          '       Hint: Install kubeless in the cluster: ' +
+          'https://github.com/kubeless/kubeless#installation'
+        );
+        expect(results[2].message).to.be.eql('Kubeless controller not found');
+        expect(process.exitCode).to.be.eql(1);
+      });
+    });
+    it('should fail with a hint if the user is not allowed to list pods', () => {
+      responses['/api/v1/pods'] = {
+        statusCode: 403,
+        body: { message: 'pods is forbidden: User "dev" cannot list pods at the cluster scope' },
+      };
+      const kubelessDoctor = new KubelessDoctor(serverless);
+      return kubelessDoctor.runChecks().then(results => {
+        expect(results[2].success).to.be.eql(true);
+        expect(results[3]).to.be.eql({
+          success: false,
+          message: 'Unable to retrieve the status of the Ingress controller: ' +
+            'pods is forbidden: User "dev" cannot list pods at the cluster scope',
+          hint: 'Ask your cluster administrator for permission to list pods in every namespace',
+        });
+        expect(process.exitCode).to.be.eql(1);
+      });
+    });
+    it('should fail if the user is not allowed to create functions', () => {
+      Api.Core.prototype.post.callsFake((opts, ff) => {
+        ff(null, { statusCode: 201, body: { status: { allowed: false } } });
+      });
+      const kubelessDoctor = new KubelessDoctor(serverless);
+      return kubelessDoctor.runChecks().then(results => {
+        expect(results[4].success).to.be.eql(false);
+        expect(results[4].message).to.be.eql('Not allowed to create functions in default');
+      });
+    });
+    it('should skip the rest of checks if the API server is not reachable', () => {
+      Api.Core.prototype.get.callsFake((opts, ff) => {
+        ff(new Error('connect ECONNREFUSED'));
+      });
+      const kubelessDoctor = new KubelessDoctor(serverless);
+      return kubelessDoctor.runChecks().then(results => {
+        expect(results.length).to.be.eql(1);
+        expect(results[0].message).to.be.eql(
+          'Unable to reach the API server at http://1.2.3.4:4433: connect ECONNREFUSED'
+        );
+        expect(process.exitCode).to.be.eql(1);
+      });
+    });
+  });
+});
@@ -301,6 +301,37 @@ describe('KubelessInfo', () => {
         done();
       });
     });
+    it('should return the schedule in case it exists', (done) => {
+      mockGetCalls(
+        [{ name: func, namespace: 'default' }],
+        { spec: { type: 'Scheduled', schedule: '*/5 * * * *' } }
+      );
+      const kubelessInfo = new KubelessInfo(serverless, { function: func });
+      kubelessInfo.infoFunction({ color: false }).then((message) => {
+        expect(message).to.match(/Schedule: \*\/5 \* \* \* \*\n/);
+        expect(message).to.not.match(/Trigger:/);
+        done();
+      });
+    });
+    it('should return the replicas of the functions with autoscaling', () => {
+      mockGetCalls([{ name: func, namespace: 'default' }]);
+      const serverlessWithAutoscaling = getServerlessObj({
+        service: { functions: { 'my-function': { autoscaling: { maxReplicas: 5 } } } },
+      });
+      const kubelessInfo = new KubelessInfo(serverlessWithAutoscaling, { function: func });
+      const get = sinon.stub().callsFake((name, ff) => ff(null, {
+        spec: { minReplicas: 1, maxReplicas: 5 },
+        status: { currentReplicas: 2, desiredReplicas: 3 },
+      }));
+      sinon.stub(kubelessInfo.provider, 'getAutoscaling').returns({
+        ns: { horizontalpodautoscalers: { get } },
+      });
+      return kubelessInfo.infoFunction({ color: false }).then((message) => {
+        expect(kubelessInfo.provider.getAutoscaling.firstCall.args[1]).to.be.eql('v1');
+        expect(get.firstCall.args[0]).to.be.eql(func);
+        expect(message).to.match(/Replicas: {2}2 \(desired 3, min 1, max 5\)\n/);
+      });
+    });
     it('should return the description in case it exists', (done) => {
       mockGetCalls(
         [{ name: func, namespace: 'default' }],
@@ -240,6 +240,27 @@ describe('KubelessInvoke', () => {
         `${kubeApiURL}/api/v1/proxy/namespaces/test/services/my-function/`
       );
     });
+    it('loads the kubernetes config with the context given', () => {
+      const serverlessWithContext = _.cloneDeep(serverless);
+      serverlessWithContext.service.provider.context = 'staging';
+      const options = {
+        function: func,
+        kubeconfig: '/kube/config',
+      };
+      serverlessWithContext.processedInput.options = options;
+      const kubelessInvoke = new KubelessInvoke(serverlessWithContext, options);
+      request.get.onFirstCall().callsFake((opts, f) => {
+        f(null, {
+          statusCode: 200,
+          statusMessage: 'OK',
+        });
+      });
+      kubelessInvoke.invokeFunction();
+      expect(helpers.loadKubeConfig.firstCall.args[0]).to.be.eql({
+        context: 'staging',
+        kubeconfig: '/kube/config',
+      });
+    });
     it('calls the API in the correct sequence', (done) => {
       const serverlessWithSequence = _.cloneDeep(serverless);
       serverlessWithSequence.service.functions = {
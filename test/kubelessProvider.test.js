@@ -0,0 +1,344 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+const Api = require('kubernetes-client');
+const BbPromise = require('bluebird');
+const chaiAsPromised = require('chai-as-promised');
+const expect = require('chai').expect;
+const helpers = require('../lib/helpers');
+const loadKubeConfig = require('./lib/load-kube-config');
+const moment = require('moment');
+const sinon = require('sinon');
+
+const KubelessProvider = require('../provider/kubelessProvider');
+const serverless = require('./lib/serverless')();
+
+require('chai').use(chaiAsPromised);
+
+describe('KubelessProvider', () => {
+  describe('#constructor', () => {
+    it('should register itself as the kubeless provider', () => {
+      const serverlessWithProvider = _.cloneDeep(serverless);
+      serverlessWithProvider.setProvider = sinon.stub();
+      const kubelessProvider = new KubelessProvider(serverlessWithProvider);
+      expect(serverlessWithProvider.setProvider.firstCall.args).to.be.eql(
+        ['kubeless', kubelessProvider]
+      );
+      expect(KubelessProvider.getProviderName()).to.be.eql('kubeless');
+    });
+    it('should refresh the credentials before running a command', () => {
+      const kubelessProvider = new KubelessProvider(serverless);
+      sinon.stub(kubelessProvider, 'refreshCredentials').returns(BbPromise.resolve());
+      return kubelessProvider.hooks['before:deploy:deploy']().then(() => {
+        expect(kubelessProvider.refreshCredentials.calledOnce).to.be.eql(true);
+      });
+    });
+  });
+  describe('#getClients', () => {
+    beforeEach(() => {
+      sinon.stub(helpers, 'loadKubeConfig').callsFake(loadKubeConfig);
+      sinon.spy(helpers, 'getConnectionOptions');
+    });
+    afterEach(() => {
+      helpers.loadKubeConfig.restore();
+      helpers.getConnectionOptions.restore();
+    });
+    it('should load the kubernetes config only once', () => {
+      const kubelessProvider = new KubelessProvider(serverless);
+      kubelessProvider.getCore();
+      kubelessProvider.getExtensions('custom');
+      kubelessProvider.getKubernetesAPIURL();
+      kubelessProvider.getDefaultNamespace();
+      expect(helpers.loadKubeConfig.callCount).to.be.eql(1);
+    });
+    it('should return clients for the default namespace', () => {
+      const kubelessProvider = new KubelessProvider(serverless);
+      expect(kubelessProvider.getCore()).to.be.an.instanceof(Api.Core);
+      expect(kubelessProvider.getExtensions()).to.be.an.instanceof(Api.Extensions);
+      const functionsAPI = kubelessProvider.getFunctions();
+      expect(functionsAPI).to.be.an.instanceof(Api.ThirdPartyResources);
+      expect(functionsAPI.namespaces.namespace).to.be.eql('default');
+      expect(functionsAPI.ns.functions).to.not.be.eql(undefined);
+      expect(kubelessProvider.getConnectionOptions().url).to.be.eql('http://1.2.3.4:4433');
+    });
+    it('should reuse the clients of the same namespace', () => {
+      const kubelessProvider = new KubelessProvider(serverless);
+      const core = kubelessProvider.getCore('custom');
+      expect(kubelessProvider.getCore('custom')).to.be.equal(core);
+      expect(kubelessProvider.getFunctions('custom')).to.be.equal(
+        kubelessProvider.getFunctions('custom')
+      );
+      expect(kubelessProvider.getFunctions('custom').namespaces.namespace).to.be.eql('custom');
+      expect(kubelessProvider.getCore('other')).to.not.be.equal(core);
+      expect(helpers.getConnectionOptions.callCount).to.be.eql(2);
+    });
+    it('should create the clients again once their credentials expire', () => {
+      const kubelessProvider = new KubelessProvider(serverless);
+      sinon.stub(helpers, 'getCredentialsExpiry');
+      try {
+        helpers.getCredentialsExpiry.returns(moment().add(1, 'h'));
+        const core = kubelessProvider.getCore('custom');
+        expect(kubelessProvider.getCore('custom')).to.be.equal(core);
+        helpers.getCredentialsExpiry.returns(moment().subtract(1, 'm'));
+        const refreshed = kubelessProvider.getCore('other');
+        expect(kubelessProvider.getCore('other')).to.not.be.equal(refreshed);
+        expect(helpers.getConnectionOptions.callCount).to.be.eql(3);
+      } finally {
+        helpers.getCredentialsExpiry.restore();
+      }
+    });
+  });
+  describe('#getClients (request options)', () => {
+    beforeEach(() => {
+      const config = loadKubeConfig();
+      _.assign(config.clusters[0].cluster, {
+        'proxy-url': 'http://proxy:3128',
+        'tls-server-name': 'kubernetes.local',
+      });
+      sinon.stub(helpers, 'loadKubeConfig').returns(config);
+    });
+    afterEach(() => {
+      helpers.loadKubeConfig.restore();
+    });
+    it('should send the requests of every client through the proxy of the cluster', () => {
+      const kubelessProvider = new KubelessProvider(serverless);
+      _.each([
+        kubelessProvider.getCore(),
+        kubelessProvider.getExtensions(),
+        kubelessProvider.getBatch('default', 'v1'),
+        kubelessProvider.getAutoscaling('default', 'v1'),
+        kubelessProvider.getFunctions(),
+        kubelessProvider.getKafkaTriggers(),
+      ], client => {
+        expect(client.http.requestOptions.baseUrl).to.be.eql('http://1.2.3.4:4433');
+        expect(client.http.requestOptions.proxy).to.be.eql('http://proxy:3128');
+        expect(client.http.requestOptions.agentOptions).to.be.eql({
+          servername: 'kubernetes.local',
+        });
+      });
+    });
+  });
+  describe('#getAutoscaling', () => {
+    beforeEach(() => {
+      sinon.stub(helpers, 'loadKubeConfig').callsFake(loadKubeConfig);
+    });
+    afterEach(() => {
+      helpers.loadKubeConfig.restore();
+    });
+    it('should return a client of the given autoscaling version', () => {
+      const kubelessProvider = new KubelessProvider(serverless);
+      const autoscaling = kubelessProvider.getAutoscaling('custom', 'v2beta1');
+      expect(kubelessProvider.getAutoscaling('custom', 'v2beta1')).to.be.equal(autoscaling);
+      expect(autoscaling.ns.horizontalpodautoscalers.path).to.be.eql(
+        '/apis/autoscaling/v2beta1/namespaces/custom/horizontalpodautoscalers'
+      );
+    });
+  });
+  describe('#detectFunctionsAPI', () => {
+    let served = null;
+    beforeEach(() => {
+      served = [];
+      sinon.stub(helpers, 'loadKubeConfig').callsFake(loadKubeConfig);
+      sinon.stub(Api.Core.prototype, 'get').callsFake((opts, ff) => {
+        const apiVersion = opts.path.replace('/apis/', '');
+        if (_.includes(served, apiVersion)) {
+          ff(null, { statusCode: 200, body: { resources: [{ name: 'functions' }] } });
+        } else {
+          ff(null, { statusCode: 404, body: {} });
+        }
+      });
+    });
+    afterEach(() => {
+      helpers.loadKubeConfig.restore();
+      Api.Core.prototype.get.restore();
+    });
+    it('should detect the Function CustomResourceDefinition', () => {
+      served = ['kubeless.io/v1beta1', 'k8s.io/v1'];
+      const kubelessProvider = new KubelessProvider(serverless);
+      return kubelessProvider.detectFunctionsAPI().then(apiVersion => {
+        expect(apiVersion).to.be.eql('kubeless.io/v1beta1');
+        expect(kubelessProvider.getFunctionsAPIVersion()).to.be.eql('kubeless.io/v1beta1');
+        const functionsAPI = kubelessProvider.getFunctions('custom');
+        expect(functionsAPI).to.be.an.instanceof(Api.CustomResourceDefinitions);
+        expect(functionsAPI.ns.functions.path).to.be.eql(
+          '/apis/kubeless.io/v1beta1/namespaces/custom/functions'
+        );
+      });
+    });
+    it('should detect the legacy Function ThirdPartyResource', () => {
+      served = ['k8s.io/v1'];
+      const kubelessProvider = new KubelessProvider(serverless);
+      return kubelessProvider.detectFunctionsAPI().then(apiVersion => {
+        expect(apiVersion).to.be.eql('k8s.io/v1');
+        const functionsAPI = kubelessProvider.getFunctions();
+        expect(functionsAPI).to.be.an.instanceof(Api.ThirdPartyResources);
+        expect(functionsAPI.ns.functions.path).to.be.eql(
+          '/apis/k8s.io/v1/namespaces/default/functions'
+        );
+      });
+    });
+    it('should keep the legacy resource if none is served', () => {
+      const kubelessProvider = new KubelessProvider(serverless);
+      return kubelessProvider.detectFunctionsAPI().then(apiVersion => {
+        expect(apiVersion).to.be.eql(null);
+        expect(kubelessProvider.getFunctionsAPIVersion()).to.be.eql('k8s.io/v1');
+      });
+    });
+    it('should inspect the cluster only once', () => {
+      served = ['kubeless.io/v1beta1'];
+      const kubelessProvider = new KubelessProvider(serverless);
+      return kubelessProvider.detectFunctionsAPI()
+        .then(() => kubelessProvider.detectFunctionsAPI())
+        .then(() => {
+          expect(Api.Core.prototype.get.callCount).to.be.eql(2);
+        });
+    });
+  });
+  describe('#detectRuntimes', () => {
+    const runtimeImages = JSON.stringify([{
+      ID: 'python',
+      versions: [{ name: 'python37', version: '3.7' }],
+      depName: 'requirements.txt',
+      fileNameSuffix: '.py',
+    }]);
+    let kubelessProvider = null;
+    let get = null;
+    beforeEach(() => {
+      kubelessProvider = new KubelessProvider(serverless);
+      get = sinon.stub();
+      sinon.stub(kubelessProvider, 'getCore').returns({ ns: { configmaps: { get } } });
+    });
+    it('should read the runtimes of the kubeless configuration', () => {
+      get.callsFake((name, ff) => ff(null, { data: { 'runtime-images': runtimeImages } }));
+      return kubelessProvider.detectRuntimes().then(() => kubelessProvider.detectRuntimes())
+        .then(() => {
+          expect(kubelessProvider.getCore.firstCall.args).to.be.eql(['kubeless']);
+          expect(get.callCount).to.be.eql(1);
+          expect(get.firstCall.args[0]).to.be.eql('kubeless-config');
+          expect(_.keys(kubelessProvider.getRuntimes())).to.be.eql(['python']);
+          expect(kubelessProvider.getRuntimes().python.versions).to.be.eql(['3.7']);
+        });
+    });
+    it('should use the built-in runtimes if the configuration is unavailable', () => {
+      get.callsFake((name, ff) => ff({ code: 404, message: 'Not found' }));
+      return kubelessProvider.detectRuntimes().then(clusterRuntimes => {
+        expect(clusterRuntimes).to.be.eql(null);
+        expect(kubelessProvider.getRuntimes()).to.include.keys('python', 'nodejs', 'go');
+      });
+    });
+    it('should use the built-in runtimes if the configuration has no runtimes', () => {
+      get.callsFake((name, ff) => ff(null, { data: {} }));
+      return kubelessProvider.detectRuntimes().then(clusterRuntimes => {
+        expect(clusterRuntimes).to.be.eql(null);
+      });
+    });
+  });
+  describe('#forEachCluster', () => {
+    const serverlessWithClusters = _.defaultsDeep({
+      service: {
+        provider: {
+          clusters: [
+            { context: 'eu', namespace: 'functions' },
+            { context: 'us' },
+          ],
+        },
+      },
+    }, serverless);
+    beforeEach(() => {
+      sinon.stub(helpers, 'loadKubeConfig').callsFake(loadKubeConfig);
+      sinon.stub(serverless.cli, 'log');
+    });
+    afterEach(() => {
+      helpers.loadKubeConfig.restore();
+      serverless.cli.log.restore();
+    });
+    it('should run the action once if no clusters are configured', () => {
+      const kubelessProvider = new KubelessProvider(serverless);
+      const action = sinon.stub().returns(BbPromise.resolve());
+      return kubelessProvider.forEachCluster(action).then(() => {
+        expect(action.calledOnce).to.be.eql(true);
+        expect(serverless.cli.log.called).to.be.eql(false);
+      });
+    });
+    it('should run the action in every cluster', () => {
+      const kubelessProvider = new KubelessProvider(serverlessWithClusters);
+      const targets = [];
+      return kubelessProvider.forEachCluster(() => {
+        kubelessProvider.getCore();
+        targets.push(kubelessProvider.getNamespace({}));
+        targets.push(kubelessProvider.getNamespace({ namespace: 'custom' }));
+      }).then(results => {
+        expect(_.map(results, 'success')).to.be.eql([true, true]);
+        expect(targets).to.be.eql(['functions', 'custom', undefined, 'custom']);
+        expect(_.map(helpers.loadKubeConfig.args, '0.context')).to.be.eql(['eu', 'us']);
+        expect(kubelessProvider.cluster).to.be.eql(null);
+        expect(_.map(serverless.cli.log.args, 0)).to.be.eql([
+          'Using cluster eu (namespace functions)...',
+          'Using cluster us...',
+          'Summary by cluster:',
+          '  eu (namespace functions) succeeded',
+          '  us succeeded',
+        ]);
+      });
+    });
+    it('should continue with the rest of clusters if one fails', () => {
+      const kubelessProvider = new KubelessProvider(serverlessWithClusters);
+      const action = sinon.stub();
+      action.onFirstCall().callsFake(() => BbPromise.reject(new Error('Unable to deploy')));
+      action.onSecondCall().callsFake(() => BbPromise.resolve());
+      return expect(kubelessProvider.forEachCluster(action)).to.be.rejectedWith(
+        'The command failed in 1 of 2 clusters'
+      ).then(() => {
+        expect(action.calledTwice).to.be.eql(true);
+        expect(serverless.cli.log.args[3][0]).to.be.eql(
+          '  eu (namespace functions) failed: Unable to deploy'
+        );
+      });
+    });
+    it('should report the clusters where the action was rejected with a message', () => {
+      const kubelessProvider = new KubelessProvider(serverlessWithClusters);
+      const action = sinon.stub();
+      action.onFirstCall().callsFake(() => BbPromise.resolve());
+      action.onSecondCall().callsFake(() => BbPromise.reject('Unable to remove the function'));
+      return expect(kubelessProvider.forEachCluster(action)).to.be.rejectedWith(
+        'The command failed in 1 of 2 clusters'
+      ).then(() => {
+        expect(serverless.cli.log.args[4][0]).to.be.eql(
+          '  us failed: Unable to remove the function'
+        );
+      });
+    });
+    it('should only use the cluster given in the command line', () => {
+      const kubelessProvider = new KubelessProvider(serverlessWithClusters, { context: 'us' });
+      const action = sinon.stub().returns(BbPromise.resolve());
+      return kubelessProvider.forEachCluster(action).then(results => {
+        expect(action.calledOnce).to.be.eql(true);
+        expect(results[0].cluster).to.be.eql({ context: 'us' });
+      });
+    });
+    it('should reject clusters without a context', () => {
+      const kubelessProvider = new KubelessProvider(_.defaultsDeep({
+        service: { provider: { clusters: [{ namespace: 'functions' }] } },
+      }, serverless));
+      expect(() => kubelessProvider.getClusters()).to.throw(
+        'Every entry of provider.clusters needs a context'
+      );
+    });
+  });
+});
@@ -22,6 +22,7 @@ const BbPromise = require('bluebird');
 const chaiAsPromised = require('chai-as-promised');
 const expect = require('chai').expect;
 const helpers = require('../lib/helpers');
+const kafka = require('../lib/kafka');
 const loadKubeConfig = require('./lib/load-kube-config');
 const fs = require('fs');
 const moment = require('moment');
@@ -87,6 +88,39 @@ describe('KubelessRemove', () => {
       }
     });
   });
+  describe('#removeTopicsIfNecessary', () => {
+    const serverlessWithTrigger = _.defaultsDeep({
+      service: {
+        provider: { autoCreateTopics: { deleteOnRemove: true } },
+        functions: { myFunction: { events: [{ trigger: 'topic' }] } },
+      },
+    }, serverless);
+    beforeEach(() => {
+      sinon.stub(kafka, 'runTopicsJob').returns(BbPromise.resolve());
+    });
+    afterEach(() => {
+      kafka.runTopicsJob.restore();
+    });
+    it('should delete the topics of the trigger events', () => {
+      const kubelessRemove = new KubelessRemove(serverlessWithTrigger);
+      sinon.stub(kubelessRemove.provider, 'getBatch').returns({});
+      return kubelessRemove.removeTopicsIfNecessary().then(() => {
+        expect(kubelessRemove.provider.getBatch.firstCall.args).to.be.eql(['kubeless', 'v1']);
+        expect(kafka.runTopicsJob.firstCall.args[1]).to.be.eql([
+          'kafka-topics.sh --zookeeper \'zookeeper.kubeless:2181\' --delete --if-exists ' +
+          '--topic \'topic\'',
+        ]);
+      });
+    });
+    it('should keep the topics unless deleteOnRemove is set', () => {
+      const kubelessRemove = new KubelessRemove(_.defaultsDeep({
+        service: { provider: { autoCreateTopics: true } },
+      }, _.omit(serverlessWithTrigger, 'service.provider.autoCreateTopics')));
+      return kubelessRemove.removeTopicsIfNecessary().then(() => {
+        expect(kafka.runTopicsJob.called).to.be.eql(false);
+      });
+    });
+  });
   describe('#remove', () => {
     let cwd = null;
     const serverlessWithFunction = _.defaultsDeep({}, serverless, {
@@ -105,6 +139,10 @@ describe('KubelessRemove', () => {
       fs.writeFileSync(path.join(cwd, 'function.py'), 'function code');
       sinon.stub(Api.ThirdPartyResources.prototype, 'delete');
       sinon.stub(Api.Extensions.prototype, 'delete');
+      // Functions don't have an autoscaler unless a test says otherwise
+      sinon.stub(Api.CustomResourceDefinitions.prototype, 'delete').callsFake((data, ff) => {
+        ff({ code: 404, message: 'Not found' });
+      });
       sinon.stub(Api.Extensions.prototype, 'get');
       Api.ThirdPartyResources.prototype.delete.callsFake((data, ff) => {
         ff(null, { statusCode: 200 });
@@ -120,6 +158,7 @@ describe('KubelessRemove', () => {
     afterEach(() => {
       Api.ThirdPartyResources.prototype.delete.restore();
       Api.Extensions.prototype.delete.restore();
+      Api.CustomResourceDefinitions.prototype.delete.restore();
       Api.Extensions.prototype.get.restore();
       helpers.loadKubeConfig.restore();
       rm(cwd);
@@ -202,6 +241,35 @@ describe('KubelessRemove', () => {
       );
       expect(functionsRemoved).to.be.eql(['myFunction1', 'myFunction3']);
     });
+    it('should finish once every function is processed even if they can\'t be removed', () => {
+      const serverlessWithFunctions = _.defaultsDeep({}, serverless, {
+        service: {
+          functions: {
+            myFunction1: { handler: 'function.hello' },
+            myFunction2: { handler: 'function.hello' },
+          },
+        },
+      });
+      Api.ThirdPartyResources.prototype.delete.onFirstCall().callsFake((data, ff) => {
+        ff({ code: 404 });
+      });
+      Api.ThirdPartyResources.prototype.delete.onSecondCall().callsFake((data, ff) => {
+        ff({ code: 500, message: 'Internal server error' });
+      });
+      sinon.stub(serverlessWithFunctions.cli, 'log');
+      kubelessRemove = new KubelessRemove(serverlessWithFunctions);
+      return expect(kubelessRemove.removeFunction(cwd)).to.be.rejectedWith(
+        'Found errors while removing the given functions:\n' +
+        'Unable to remove the function myFunction2. Received:\n' +
+        '  Code: 500\n' +
+        '  Message: Internal server error'
+      ).then(() => {
+        Api.ThirdPartyResources.prototype.delete.callsFake((data, ff) => ff({ code: 404 }));
+        return expect(kubelessRemove.removeFunction(cwd)).to.be.fulfilled;
+      }).finally(() => {
+        serverlessWithFunctions.cli.log.restore();
+      });
+    });
     it('calls Kubernetes API with the correct namespace (in provider)', () => {
       const serverlessWithNS = _.cloneDeep(serverlessWithFunction);
       serverlessWithNS.service.provider.namespace = 'test';
@@ -277,5 +345,87 @@ describe('KubelessRemove', () => {
         Api.Extensions.prototype.delete.firstCall.args[0].path[0]
       ).to.be.eql('/apis/extensions/v1beta1/namespaces/test/ingresses');
     });
+    it('should remove the Kafka triggers of the function', () => {
+      Api.Extensions.prototype.get.callsFake((data, ff) => {
+        ff(null, { statusCode: 200, body: { items: [] } });
+      });
+      sinon.stub(Api.CustomResourceDefinitions.prototype, 'get').callsFake((data, ff) => {
+        ff(null, {
+          statusCode: 200,
+          body: {
+            items: [
+              { metadata: { name: 'myfunction-topic', labels: { function: 'myFunction' } } },
+              { metadata: { name: 'other-topic', labels: { function: 'other' } } },
+            ],
+          },
+        });
+      });
+      Api.CustomResourceDefinitions.prototype.delete.callsFake((data, ff) => {
+        ff(null, { statusCode: 200 });
+      });
+      kubelessRemove = new KubelessRemove(serverlessWithFunction, { verbose: false });
+      sinon.stub(kubelessRemove.provider, 'usesCustomResources').returns(true);
+      return expect(kubelessRemove.removeFunction(cwd)).to.be.fulfilled.then(() => {
+        const paths = _.map(Api.CustomResourceDefinitions.prototype.delete.args, '0.path');
+        expect(_.filter(paths, p => _.endsWith(p[0], '/kafkatriggers'))).to.be.eql([[
+          '/apis/kubeless.io/v1beta1/namespaces/default/kafkatriggers',
+          'myfunction-topic',
+        ]]);
+      }).finally(() => {
+        Api.CustomResourceDefinitions.prototype.get.restore();
+      });
+    });
+    it('should remove the autoscaler of a function', () => {
+      Api.Extensions.prototype.get.callsFake((data, ff) => {
+        ff(null, { statusCode: 200, body: { items: [] } });
+      });
+      // The autoscaler may remain from a previous deployment of the function
+      kubelessRemove = new KubelessRemove(serverlessWithFunction, { verbose: false });
+      const del = sinon.stub().callsFake((name, ff) => ff({ code: 404, message: 'Not found' }));
+      sinon.stub(kubelessRemove.provider, 'getAutoscaling').returns({
+        ns: { horizontalpodautoscalers: { delete: del } },
+      });
+      return expect(kubelessRemove.removeFunction(cwd)).to.be.fulfilled.then(() => {
+        expect(kubelessRemove.provider.getAutoscaling.firstCall.args).to.be.eql(['default', 'v1']);
+        expect(del.firstCall.args[0]).to.be.eql('myFunction');
+      });
+    });
+    it('should remove the schedule of a function', () => {
+      Api.Extensions.prototype.get.callsFake((data, ff) => {
+        ff(null, { statusCode: 200, body: { items: [] } });
+      });
+      sinon.stub(Api.Batch.prototype, 'get').callsFake(function (data, ff) {
+        if (this.path === '/apis/batch/v1beta1') {
+          ff({ code: 404, message: 'Not found' });
+        } else {
+          ff(null, {
+            statusCode: 200,
+            body: {
+              items: [
+                // Scheduled functions are deployed without labels by default
+                { metadata: { name: 'trigger-myFunction' } },
+                { metadata: { name: 'trigger-other' } },
+              ],
+            },
+          });
+        }
+      });
+      sinon.stub(Api.Batch.prototype, 'delete').callsFake((data, ff) => {
+        ff(null, { statusCode: 200 });
+      });
+      const serverlessWithSchedule = _.cloneDeep(serverlessWithFunction);
+      serverlessWithSchedule.service.functions.myFunction.events = [{ schedule: '@daily' }];
+      kubelessRemove = new KubelessRemove(serverlessWithSchedule, { verbose: false });
+      return expect(kubelessRemove.removeFunction(cwd)).to.be.fulfilled.then(() => {
+        expect(Api.Batch.prototype.delete.calledOnce).to.be.eql(true);
+        expect(Api.Batch.prototype.delete.firstCall.args[0].path).to.be.eql([
+          '/apis/batch/v2alpha1/namespaces/default/cronjobs',
+          'trigger-myFunction',
+        ]);
+      }).finally(() => {
+        Api.Batch.prototype.get.restore();
+        Api.Batch.prototype.delete.restore();
+      });
+    });
   });
 });
@@ -34,6 +34,22 @@ function thirdPartyResources(kubelessDeploy, namespace) {
   } else {
     sinon.stub(kubelessDeploy, 'getThirdPartyResources').returns(result);
   }
+  // Functions don't have an autoscaler unless a test deploys one
+  const autoscalers = sinon.stub().returns({
+    put: sinon.stub().callsFake((body, callback) => callback(null, { statusCode: 200 })),
+  });
+  autoscalers.post = sinon.stub().callsFake((body, callback) => {
+    callback(null, { statusCode: 200 });
+  });
+  autoscalers.delete = sinon.stub().callsFake((name, callback) => {
+    callback({ code: 404, message: 'Not found' });
+  });
+  const autoscaling = { ns: { horizontalpodautoscalers: autoscalers } };
+  if (kubelessDeploy.provider.getAutoscaling.isSinonProxy) {
+    kubelessDeploy.provider.getAutoscaling.returns(autoscaling);
+  } else {
+    sinon.stub(kubelessDeploy.provider, 'getAutoscaling').returns(autoscaling);
+  }
   return result;
 }
 
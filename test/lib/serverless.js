@@ -18,6 +18,7 @@
 
 const _ = require('lodash');
 const fs = require('fs');
+const KubelessProvider = require('../../provider/kubelessProvider');
 
 class CLI {
   constructor() {
@@ -41,7 +42,13 @@ module.exports = (modif) => _.defaultsDeep({}, modif, {
     getAllFunctions: () => [],
   },
   cli: new CLI(),
-  getProvider: () => ({}),
+  setProvider: () => {},
+  // Command line options, given by Serverless to both the plugins and the provider
+  processedInput: { options: {} },
+  // Every plugin gets its own provider so clients are not shared between tests
+  getProvider() {
+    return new KubelessProvider(this, this.processedInput.options);
+  },
   utils: {
     fileExistsSync: (p) => fs.existsSync(p),
     readFileSync: (p) => {
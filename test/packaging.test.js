@@ -0,0 +1,138 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+const expect = require('chai').expect;
+const fs = require('fs');
+const JSZip = require('jszip');
+const os = require('os');
+const packaging = require('../lib/packaging');
+const path = require('path');
+const rm = require('./lib/rm');
+
+describe('Packaging helpers', () => {
+  let cwd = null;
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'packaging-'));
+    fs.mkdirSync(path.join(cwd, 'lib'));
+    fs.mkdirSync(path.join(cwd, 'lib', 'vendor'));
+    fs.writeFileSync(path.join(cwd, 'handler.py'), 'handler code');
+    fs.writeFileSync(path.join(cwd, 'README.md'), 'readme');
+    fs.writeFileSync(path.join(cwd, 'lib', 'util.py'), 'util code');
+    fs.writeFileSync(path.join(cwd, 'lib', 'util.pyc'), 'compiled code');
+    fs.writeFileSync(path.join(cwd, 'lib', 'vendor', 'dep.py'), 'dep code');
+  });
+  afterEach(() => {
+    rm(cwd);
+  });
+  describe('#listFiles', () => {
+    it('should return the files matching the patterns', () => {
+      expect(packaging.listFiles(cwd, ['*.py', 'lib/*.py'])).to.be.eql([
+        'handler.py',
+        'lib/util.py',
+      ]);
+    });
+    it('should include the content of directories', () => {
+      expect(packaging.listFiles(cwd, ['lib'])).to.be.eql([
+        'lib/util.py',
+        'lib/util.pyc',
+        'lib/vendor/dep.py',
+      ]);
+    });
+    it('should exclude the files matching negated patterns', () => {
+      expect(packaging.listFiles(cwd, ['**', '!**/*.pyc', '!lib/vendor/**'])).to.be.eql([
+        'README.md',
+        'handler.py',
+        'lib/util.py',
+      ]);
+      expect(packaging.listFiles(cwd, ['**', '!lib/**', 'lib/vendor/*.py'])).to.be.eql([
+        'README.md',
+        'handler.py',
+        'lib/vendor/dep.py',
+      ]);
+    });
+  });
+  describe('#getPatterns', () => {
+    it('should include every file but the excluded ones', () => {
+      const patterns = packaging.getPatterns({ exclude: ['lib/**'], include: ['lib/util.py'] });
+      expect(patterns[0]).to.be.eql('**');
+      expect(patterns).to.include('!serverless.yml');
+      expect(_.takeRight(patterns, 2)).to.be.eql(['!lib/**', 'lib/util.py']);
+      expect(packaging.listFiles(cwd, patterns)).to.be.eql([
+        'README.md',
+        'handler.py',
+        'lib/util.py',
+      ]);
+    });
+    it('should exclude the default files of Serverless', () => {
+      fs.writeFileSync(path.join(cwd, 'serverless.yml'), 'service: test');
+      expect(packaging.isIncluded('serverless.yml', packaging.getPatterns({}))).to.be.eql(false);
+      expect(packaging.isIncluded('handler.py', packaging.getPatterns({}))).to.be.eql(true);
+    });
+  });
+  describe('#zipFiles', () => {
+    it('should zip the given files', () => (
+      packaging.zipFiles(cwd, ['handler.py', 'lib/util.py'])
+        .then(content => JSZip.loadAsync(content))
+        .then(zip => {
+          expect(_.keys(zip.files)).to.be.eql(['handler.py', 'lib/util.py']);
+          return zip.file('lib/util.py').async('string');
+        })
+        .then(content => {
+          expect(content).to.be.eql('util code');
+        })
+    ));
+    it('should return the same zip for the same files', () => (
+      packaging.zipFiles(cwd, ['handler.py']).then(first => {
+        fs.utimesSync(path.join(cwd, 'handler.py'), new Date(), new Date());
+        return packaging.zipFiles(cwd, ['handler.py']).then(second => {
+          expect(packaging.getChecksum(second)).to.be.eql(packaging.getChecksum(first));
+        });
+      })
+    ));
+  });
+  describe('#findFile', () => {
+    it('should find files named differently by other tools', () => {
+      const zip = new JSZip();
+      zip.file('./handler.py', 'handler code');
+      zip.file('lib\\util.py', 'util code');
+      expect(packaging.findFile(zip, 'handler.py').name).to.be.eql('./handler.py');
+      expect(packaging.findFile(zip, 'lib/util.py').name).to.be.eql('lib\\util.py');
+      expect(packaging.findFile(zip, 'other.py')).to.be.eql(null);
+    });
+  });
+  describe('#repackZip', () => {
+    it('should return the same zip as zipping the files', () => {
+      const artifact = new JSZip();
+      artifact.file('lib/util.py', 'util code');
+      artifact.file('handler.py', 'handler code');
+      return artifact.generateAsync({ type: 'nodebuffer' })
+        .then(content => packaging.repackZip(content))
+        .then(repacked => packaging.zipFiles(cwd, ['handler.py', 'lib/util.py']).then(zipped => {
+          expect(repacked.equals(zipped)).to.be.eql(true);
+        }));
+    });
+  });
+  describe('#getChecksum', () => {
+    it('should return the sha256 of the content', () => {
+      expect(packaging.getChecksum('content')).to.be.eql(
+        'sha256:ed7002b439e9ac845f22357d822bac1444730fbdb6016d3ec9432297b9ec9f73'
+      );
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const expect = require('chai').expect;
+const resources = require('../lib/resources');
+
+describe('Resources', () => {
+  describe('#getResources', () => {
+    it('should return null if there are no resources', () => {
+      expect(resources.getResources({}, {})).to.be.eql(null);
+    });
+    it('should request and limit the memory and CPU', () => {
+      expect(resources.getResources({}, { memorySize: 128, cpu: 2 })).to.be.eql({
+        requests: { memory: '128Mi', cpu: '2' },
+        limits: { memory: '128Mi', cpu: '2' },
+      });
+    });
+    it('should normalize the quantities', () => {
+      expect(resources.getResources({}, {
+        resources: { requests: { memory: '0.5', cpu: 0.25 }, limits: { memory: '1G', cpu: '1' } },
+      })).to.be.eql({
+        requests: { memory: '0.5Mi', cpu: '250m' },
+        limits: { memory: '1G', cpu: '1' },
+      });
+    });
+    it('should override the settings of the provider with the ones of the function', () => {
+      expect(resources.getResources(
+        { memorySize: '1Gi', cpu: 1, resources: { requests: { cpu: '500m' } } },
+        { memorySize: 512, resources: { limits: { cpu: 2 } } }
+      )).to.be.eql({
+        requests: { memory: '512Mi', cpu: '500m' },
+        limits: { memory: '512Mi', cpu: '2' },
+      });
+    });
+    it('should throw an error with unknown settings', () => {
+      expect(() => resources.getResources({}, { resources: { minimum: {} } })).to.throw(
+        'unknown resource settings minimum. Supported: requests, limits'
+      );
+      expect(() => resources.getResources({}, { resources: { limits: { gpu: 1 } } })).to.throw(
+        'the limits should be an object with memory and cpu'
+      );
+    });
+    it('should throw an error if a request is greater than its limit', () => {
+      expect(() => resources.getResources({}, {
+        resources: { requests: { cpu: 2 }, limits: { cpu: '1500m' } },
+      })).to.throw('the cpu request 2 is greater than its limit 1500m');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const expect = require('chai').expect;
+const runtimes = require('../lib/runtimes');
+
+const runtimeImages = JSON.stringify([
+  {
+    ID: 'python',
+    versions: [{ name: 'python27', version: '2.7' }, { name: 'python37', version: '3.7' }],
+    depName: 'requirements.txt',
+    fileNameSuffix: '.py',
+  },
+  {
+    ID: 'ballerina',
+    versions: [{ name: 'ballerina0975', version: '0.975.0' }],
+    depName: '',
+    fileNameSuffix: '.bal',
+  },
+]);
+
+describe('Runtimes', () => {
+  describe('#parseRuntimeImages', () => {
+    it('should return the runtimes of the kubeless configuration', () => {
+      expect(runtimes.parseRuntimeImages(runtimeImages)).to.be.eql({
+        python: { versions: ['2.7', '3.7'], extension: '.py', deps: 'requirements.txt' },
+        ballerina: { versions: ['0.975.0'], extension: '.bal' },
+      });
+    });
+  });
+  describe('#getRuntimes', () => {
+    it('should add the runtimes of the service to the built-in ones', () => {
+      const registry = runtimes.getRuntimes({
+        python: { versions: ['3.7'], extension: '.py', deps: 'requirements.txt' },
+        rust: { versions: [1.26], extension: '.rs' },
+      });
+      expect(registry.python.versions).to.be.eql(['3.7']);
+      expect(registry.rust.versions).to.be.eql(['1.26']);
+      expect(registry.java.deps).to.be.eql('pom.xml');
+    });
+    it('should only use the runtimes of the cluster if they are known', () => {
+      const registry = runtimes.getRuntimes(
+        { rust: { extension: '.rs' } },
+        runtimes.parseRuntimeImages(runtimeImages)
+      );
+      expect(registry).to.have.all.keys('python', 'ballerina', 'rust');
+      expect(registry.python.versions).to.be.eql(['2.7', '3.7']);
+    });
+    it('should throw an error with invalid runtimes', () => {
+      expect(() => runtimes.getRuntimes({ rust: { deps: 'Cargo.toml' } })).to.throw(
+        'The runtime rust of provider.runtimes needs an extension or a file'
+      );
+      expect(() => runtimes.getRuntimes({ rust: { extension: '.rs', image: 'rust' } })).to.throw(
+        'The runtime rust of provider.runtimes has unknown settings image'
+      );
+      expect(() => runtimes.getRuntimes({ rust: { extension: '.rs', versions: '1.26' } })).to.throw(
+        'The runtime rust of provider.runtimes should have a list of versions'
+      );
+    });
+  });
+  describe('#parseRuntime', () => {
+    it('should split the name and the version of the runtime', () => {
+      const parsed = runtimes.parseRuntime('nodejs6.10', runtimes.getRuntimes());
+      expect(parsed.name).to.be.eql('nodejs');
+      expect(parsed.version).to.be.eql('6.10');
+    });
+    it('should list the supported runtimes if the runtime is unknown', () => {
+      const registry = runtimes.getRuntimes(
+        { rust: { extension: '.rs' } },
+        runtimes.parseRuntimeImages(runtimeImages)
+      );
+      expect(() => runtimes.parseRuntime('python3.9', registry)).to.throw(
+        'The version "3.9" of the runtime python is not supported. Supported versions: 2.7, 3.7'
+      );
+      expect(() => runtimes.parseRuntime('nodejs8', registry)).to.throw(
+        'The runtime nodejs8 is not supported yet. ' +
+        'Supported runtimes: python2.7, python3.7, ballerina0.975.0, rust'
+      );
+    });
+    it('should use the longest name matching the runtime', () => {
+      const registry = runtimes.getRuntimes({ nodejs_distroless: { extension: '.js' } });
+      expect(runtimes.parseRuntime('nodejs_distroless8', registry).name).to.be.eql(
+        'nodejs_distroless'
+      );
+    });
+    it('should accept any version of runtimes registered without versions', () => {
+      const registry = runtimes.getRuntimes({ rust: { extension: '.rs' } });
+      expect(runtimes.parseRuntime('rust1.26', registry).version).to.be.eql('1.26');
+    });
+  });
+  describe('#getFilenames', () => {
+    it('should resolve the files of the handler', () => {
+      const registry = runtimes.getRuntimes();
+      expect(runtimes.getFilenames('python2.7', 'handler.hello', registry)).to.be.eql({
+        handler: 'handler.py',
+        deps: 'requirements.txt',
+      });
+      expect(runtimes.getFilenames('java1.8', 'Handler.hello', registry)).to.be.eql({
+        handler: 'Handler.java',
+        deps: 'pom.xml',
+      });
+      expect(runtimes.getFilenames('dotnetcore2.0', 'fibonacci.handler', registry)).to.be.eql({
+        handler: 'fibonacci.cs',
+        deps: 'fibonacci.csproj',
+      });
+    });
+    it('should use the file of custom runtimes', () => {
+      const registry = runtimes.getRuntimes({ rust: { file: 'src/{module}.rs' } });
+      expect(runtimes.getFilenames('rust1.26', 'main.handler', registry)).to.be.eql({
+        handler: 'src/main.rs',
+        deps: null,
+      });
+    });
+  });
+});
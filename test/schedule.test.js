@@ -0,0 +1,52 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const expect = require('chai').expect;
+const schedule = require('../lib/schedule');
+
+describe('Schedule', () => {
+  describe('#checkCronExpression', () => {
+    it('should accept valid expressions and macros', () => {
+      expect(schedule.checkCronExpression('*/5 * * * *')).to.be.eql(null);
+      expect(schedule.checkCronExpression(' 0 0 1,15 * MON-FRI ')).to.be.eql(null);
+      expect(schedule.checkCronExpression('30 2-6/2 ? jan,Jul 7')).to.be.eql(null);
+      expect(schedule.checkCronExpression('@weekly')).to.be.eql(null);
+    });
+    it('should return the reason why an expression is not valid', () => {
+      expect(schedule.checkCronExpression(5)).to.be.eql('it should be a string');
+      expect(schedule.checkCronExpression('@often')).to.be.eql(
+        'expected 5 fields but found 1'
+      );
+      expect(schedule.checkCronExpression('* * 0 * *')).to.be.eql(
+        '"0" is out of the day of the month range (1-31)'
+      );
+      expect(schedule.checkCronExpression('* * * * SUN-FOO')).to.be.eql(
+        '"SUN-FOO" is out of the day of the week range (0-7)'
+      );
+      expect(schedule.checkCronExpression('* */0 * * *')).to.be.eql(
+        'the step of the hour can\'t be 0'
+      );
+      expect(schedule.checkCronExpression('* * * DEC-JAN *')).to.be.eql(
+        '"DEC-JAN" is not a valid month range'
+      );
+      expect(schedule.checkCronExpression('1-2-3 * * * *')).to.be.eql(
+        '"1-2-3" is not a valid minute'
+      );
+    });
+  });
+});
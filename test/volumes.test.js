@@ -0,0 +1,127 @@
+/*
+ Copyright 2017 Bitnami.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+'use strict';
+
+const _ = require('lodash');
+const expect = require('chai').expect;
+const volumes = require('../lib/volumes');
+
+describe('Volumes', () => {
+  describe('#getVolumes', () => {
+    it('should return null if there are no volumes', () => {
+      expect(volumes.getVolumes({})).to.be.eql(null);
+    });
+    it('should mount the secrets', () => {
+      expect(volumes.getVolumes({
+        secrets: ['api-keys', { name: 'tls', mountPath: '/etc/tls' }],
+      })).to.be.eql({
+        volumes: [
+          { name: 'api-keys-vol', secret: { secretName: 'api-keys' } },
+          { name: 'tls-vol', secret: { secretName: 'tls' } },
+        ],
+        volumeMounts: [
+          { name: 'api-keys-vol', mountPath: '/api-keys' },
+          { name: 'tls-vol', mountPath: '/etc/tls' },
+        ],
+      });
+    });
+    it('should mount the volumes', () => {
+      expect(volumes.getVolumes({
+        secrets: ['tls'],
+        volumes: [
+          {
+            name: 'models',
+            persistentVolumeClaim: { claimName: 'models' },
+            mountPath: '/models',
+            readOnly: true,
+          },
+          { name: 'settings', configMap: { name: 'settings' }, mountPath: '/etc/settings' },
+          { name: 'cache', emptyDir: null, mountPath: '/tmp/cache' },
+        ],
+      })).to.be.eql({
+        volumes: [
+          { name: 'tls-vol', secret: { secretName: 'tls' } },
+          { name: 'models', persistentVolumeClaim: { claimName: 'models' } },
+          { name: 'settings', configMap: { name: 'settings' } },
+          { name: 'cache', emptyDir: {} },
+        ],
+        volumeMounts: [
+          { name: 'tls-vol', mountPath: '/tls' },
+          { name: 'models', mountPath: '/models', readOnly: true },
+          { name: 'settings', mountPath: '/etc/settings' },
+          { name: 'cache', mountPath: '/tmp/cache' },
+        ],
+      });
+    });
+    it('should throw an error if a secret is not valid', () => {
+      expect(() => volumes.getVolumes({ secrets: 'tls' })).to.throw('secrets should be a list');
+      expect(() => volumes.getVolumes({ secrets: [{ secretName: 'tls' }] })).to.throw(
+        'the secrets should be names or objects with a name and a mountPath. ' +
+        'Found: {"secretName":"tls"}'
+      );
+      expect(() => volumes.getVolumes({ secrets: [_.repeat('s', 60)] })).to.throw(
+        `the secret ${_.repeat('s', 60)} can't be mounted since ${_.repeat('s', 60)}-vol ` +
+        'is not a valid volume name'
+      );
+    });
+    it('should replace the dots of the secret names in their volume names', () => {
+      expect(volumes.getVolumes({ secrets: ['api.keys'] })).to.be.eql({
+        volumes: [{ name: 'api-keys-vol', secret: { secretName: 'api.keys' } }],
+        volumeMounts: [{ name: 'api-keys-vol', mountPath: '/api.keys' }],
+      });
+    });
+    it('should throw an error if a volume is not valid', () => {
+      expect(() => volumes.getVolumes({ volumes: [{ mountPath: '/data' }] })).to.throw(
+        'every volume needs a name. Found: {"mountPath":"/data"}'
+      );
+      expect(() => volumes.getVolumes({
+        volumes: [{ name: 'data', hostPath: { path: '/data' }, mountPath: '/data' }],
+      })).to.throw(
+        'the volume data should have one of secret, configMap, emptyDir, persistentVolumeClaim'
+      );
+      expect(() => volumes.getVolumes({
+        volumes: [{ name: 'data', persistentVolumeClaim: 'data', mountPath: '/data' }],
+      })).to.throw(
+        'the persistentVolumeClaim of the volume data should be an object with a claimName'
+      );
+      expect(() => volumes.getVolumes({
+        volumes: [{ name: 'data', emptyDir: {}, mountPath: 'data' }],
+      })).to.throw('the volume data needs an absolute mountPath');
+      expect(() => volumes.getVolumes({
+        volumes: [{ name: 'my.data', emptyDir: {}, mountPath: '/data' }],
+      })).to.throw('the volume name my.data should be a DNS-1123 label');
+      expect(() => volumes.getVolumes({
+        volumes: [{ name: 'data', emptyDir: {}, mountPath: '/data', readOnly: 'true' }],
+      })).to.throw('the readOnly of the volume data should be a boolean');
+      expect(() => volumes.getVolumes({
+        volumes: [{ name: 'data', emptyDir: {}, mountPath: '/data', subPath: '/models' }],
+      })).to.throw('the subPath of the volume data should be a relative path');
+    });
+    it('should throw an error if several volumes use the same name or path', () => {
+      expect(() => volumes.getVolumes({
+        secrets: ['data'],
+        volumes: [{ name: 'cache', emptyDir: {}, mountPath: '/data' }],
+      })).to.throw('the mountPath /data is used by several volumes');
+      expect(() => volumes.getVolumes({
+        volumes: [
+          { name: 'cache', emptyDir: {}, mountPath: '/cache' },
+          { name: 'cache', emptyDir: {}, mountPath: '/tmp' },
+        ],
+      })).to.throw('the name cache is used by several volumes');
+    });
+  });
+});